@@ -0,0 +1,19 @@
+/**
+ * @fileOverview
+ * Short feedback on the toolbar icon, for the actions run without the popup.
+ */
+
+const BADGE_DURATION = 2000;
+
+/**
+ * Shows a text on the toolbar icon for a moment.
+ *
+ * @async
+ * @function flashBadge
+ * @param {string} text - A few characters, e.g. '✓'.
+ * @returns {Promise<void>}
+ */
+export async function flashBadge(text) {
+  await chrome.action.setBadgeText({ text });
+  setTimeout(() => chrome.action.setBadgeText({ text: '' }), BADGE_DURATION);
+}
@@ -0,0 +1,117 @@
+/**
+ * @fileOverview
+ * Clipboard access from the service worker, which has no document:
+ * the text is either copied by a function injected in a tab, which also shows
+ * a short notice styled inline (no stylesheet is added to the page), or by
+ * the offscreen document when there is no page to script.
+ */
+
+import { MESSAGE_TYPES } from '@utils/messaging';
+import { flashBadge } from './badge';
+
+const NOTICE_DURATION = 2500;
+
+const OFFSCREEN_PATH = 'src/offscreen/index.html';
+
+/**
+ * Copies a text and shows a notice. Runs in the page: it must not use
+ * anything outside of its own body.
+ *
+ * @function copyAndNotify
+ * @param {string|null} text - The text to copy, null to only show the notice.
+ * @param {string} notice
+ * @param {number} duration - How long the notice stays, in ms.
+ */
+function copyAndNotify(text, notice, duration) {
+  if (text !== null) {
+    // execCommand works without focus, unlike navigator.clipboard
+    const field = document.createElement('textarea');
+    field.value = text;
+    field.style.cssText = 'position:fixed;opacity:0;pointer-events:none;';
+    document.body.appendChild(field);
+    field.select();
+    document.execCommand('copy');
+    field.remove();
+  }
+
+  const element = document.createElement('div');
+  element.textContent = notice;
+  element.style.cssText = [
+    'position:fixed',
+    'z-index:2147483647',
+    'top:16px',
+    'left:50%',
+    'transform:translateX(-50%)',
+    'padding:8px 16px',
+    'border-radius:4px',
+    'background:#333',
+    'color:#fff',
+    'font:13px/1.4 sans-serif',
+    'box-shadow:0 2px 8px rgba(0,0,0,.3)',
+  ].join(';');
+  document.body.appendChild(element);
+  setTimeout(() => element.remove(), duration);
+}
+
+/**
+ * Copies a text from a tab and shows a notice in it. Tabs that can't be
+ * scripted (chrome:// pages, the Web Store...) copy with the offscreen
+ * document instead, and the notice is replaced by the toolbar badge.
+ *
+ * @async
+ * @function copyInTab
+ * @param {number} tabId
+ * @param {string|null} text - The text to copy, null to only show the notice.
+ * @param {string} notice - e.g. "Converto: 1.5rem copied"
+ * @returns {Promise<boolean>} Whether the text was copied, false when there was none.
+ */
+export async function copyInTab(tabId, text, notice) {
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: copyAndNotify,
+      args: [text, notice, NOTICE_DURATION],
+    });
+    return text !== null;
+  } catch {
+    const copied = text !== null && await copyOffscreen(text);
+    await flashBadge(copied ? '✓' : '!');
+    return copied;
+  }
+}
+
+/**
+ * Creates the offscreen document, unless it is already open.
+ *
+ * @async
+ * @function ensureOffscreenDocument
+ * @returns {Promise<void>}
+ */
+async function ensureOffscreenDocument() {
+  if (await chrome.offscreen.hasDocument()) return;
+
+  await chrome.offscreen.createDocument({
+    url: OFFSCREEN_PATH,
+    reasons: ['CLIPBOARD'],
+    justification: 'Copy the converted values',
+  });
+}
+
+/**
+ * Copies a text with the offscreen document.
+ *
+ * @async
+ * @function copyOffscreen
+ * @param {string} text
+ * @returns {Promise<boolean>} Whether the text was copied.
+ */
+export async function copyOffscreen(text) {
+  try {
+    await ensureOffscreenDocument();
+    const response = await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.COPY_TEXT, text });
+    return !!response?.copied;
+  } catch (error) {
+    console.warn('Converto: unable to copy', error);
+    return false;
+  }
+}
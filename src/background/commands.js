@@ -0,0 +1,64 @@
+/**
+ * @fileOverview
+ * Keyboard shortcuts run while the popup and the side panel are closed.
+ * When one of them is open, it handles them itself, with the values of its fields.
+ */
+
+import { COMMANDS } from '@utils/commands';
+import { invertConversion } from '@utils/converters';
+import { loadSettings, saveSettings } from '@utils/settings';
+import { loadHistory, formatEntryCopy } from '@utils/history';
+import { isPageOpen } from '@utils/extensionPages';
+import { copyOffscreen } from './clipboard';
+import { flashBadge } from './badge';
+
+/**
+ * Inverts the stored conversion, e.g. PX_REM → REM_PX.
+ *
+ * @async
+ * @function swapDirection
+ * @returns {Promise<void>}
+ */
+async function swapDirection() {
+  const settings = await loadSettings();
+  await saveSettings({ ...settings, selectedConversion: invertConversion(settings.selectedConversion) });
+  await flashBadge('⇄');
+}
+
+/**
+ * Copies the result of the most recent conversion of the history, in the
+ * user's copy format.
+ *
+ * @async
+ * @function copyLastResult
+ * @returns {Promise<void>}
+ */
+async function copyLastResult() {
+  const [last] = (await loadHistory()).sort((a, b) => b.createdAt - a.createdAt);
+  const { format } = await loadSettings();
+  const copied = last ? await copyOffscreen(formatEntryCopy(last, format)) : false;
+  await flashBadge(copied ? '✓' : '!');
+}
+
+/**
+ * Runs a keyboard shortcut.
+ *
+ * @async
+ * @function handleCommand
+ * @param {string} command - One of `COMMANDS`.
+ * @returns {Promise<void>}
+ */
+export async function handleCommand(command) {
+  if (await isPageOpen(['POPUP', 'SIDE_PANEL'])) return;
+
+  switch (command) {
+    case COMMANDS.SWAP_DIRECTION:
+      await swapDirection();
+      break;
+    case COMMANDS.COPY_RESULT:
+      await copyLastResult();
+      break;
+    default:
+      break;
+  }
+}
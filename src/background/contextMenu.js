@@ -0,0 +1,182 @@
+/**
+ * @fileOverview
+ * "Converto" context menu, shown on selected text. Each entry converts the
+ * selected length (e.g. `24px`) to a unit with the base values of the active
+ * profile, and copies the result in the user's copy format.
+ *
+ * With the opt-in preview (see `@utils/menuPreview`), a content script reports
+ * the selection before the menu opens: the parent entry then shows the result
+ * in the unit of the selected conversion (e.g. "Converto: 1.5rem"), each entry
+ * its own result, and the entry of the selection's unit is hidden.
+ */
+
+import { UNITS, getConversionUnits } from '@utils/converters';
+import { parseLength } from '@utils/expression';
+import { getMessage } from '@utils/i18n';
+import { MESSAGE_TYPES } from '@utils/messaging';
+import { PREVIEW_ORIGINS, isMenuPreviewEnabled } from '@utils/menuPreview';
+import { loadConversionContext, convertLength } from './conversion';
+import { copyInTab } from './clipboard';
+
+const MENU_ID = 'converto';
+
+// Entry ids are the menu id followed by the target unit, e.g. 'converto/REM'
+const ENTRY_PREFIX = `${MENU_ID}/`;
+
+const SELECTION_SCRIPT = {
+  id: 'converto-selection',
+  matches: PREVIEW_ORIGINS,
+  js: ['assets/selection.js'],
+  runAt: 'document_idle',
+  allFrames: true,
+};
+
+// Selections are reported faster than the menu is updated: only the last one is written
+let previewRequest = 0;
+
+/**
+ * Registers the context menu. Menus are kept by Chrome between
+ * service worker restarts, so this only runs on install and update.
+ *
+ * @async
+ * @function createContextMenus
+ * @returns {Promise<void>}
+ */
+export async function createContextMenus() {
+  await chrome.contextMenus.removeAll();
+
+  chrome.contextMenus.create({
+    id: MENU_ID,
+    title: getMessage('contextMenuTitle'),
+    contexts: ['selection'],
+  });
+
+  Object.entries(UNITS).forEach(([key, unit]) => {
+    chrome.contextMenus.create({
+      id: `${ENTRY_PREFIX}${key}`,
+      parentId: MENU_ID,
+      title: getMessage('contextMenuEntry', [unit.label]),
+      contexts: ['selection'],
+    });
+  });
+}
+
+/**
+ * Registers the selection script when the preview is enabled, and removes it
+ * otherwise. Pages already open get it when they are reloaded.
+ *
+ * @async
+ * @function syncSelectionScript
+ * @returns {Promise<void>}
+ */
+export async function syncSelectionScript() {
+  const [enabled, registered] = await Promise.all([
+    isMenuPreviewEnabled(),
+    chrome.scripting.getRegisteredContentScripts({ ids: [SELECTION_SCRIPT.id] }),
+  ]);
+
+  if (enabled && !registered.length) {
+    await chrome.scripting.registerContentScripts([SELECTION_SCRIPT]);
+  } else if (!enabled && registered.length) {
+    await chrome.scripting.unregisterContentScripts({ ids: [SELECTION_SCRIPT.id] });
+    await previewSelection('');
+  }
+}
+
+/**
+ * Writes the results of a selection in the menu titles, or restores the
+ * default titles when the selection is not a length.
+ *
+ * @async
+ * @function previewSelection
+ * @param {string} selection - e.g. "24px"
+ * @returns {Promise<void>}
+ */
+async function previewSelection(selection) {
+  const request = ++previewRequest;
+  const length = parseLength(selection);
+  const context = length ? await loadConversionContext() : null;
+  if (request !== previewRequest) return;
+
+  const updates = [];
+
+  if (length) {
+    // The unit of the selected conversion, or its source when that's the selection's unit
+    const [from, to] = getConversionUnits(context.conversion);
+    const preferred = length.unitKey === to ? from : to;
+
+    updates.push([MENU_ID, {
+      title: getMessage('contextMenuPreview', [convertLength(length, preferred, context)]),
+    }]);
+    Object.entries(UNITS).forEach(([key, unit]) => {
+      const visible = key !== length.unitKey;
+      const title = visible
+        ? getMessage('contextMenuEntryPreview', [unit.label, convertLength(length, key, context)])
+        : getMessage('contextMenuEntry', [unit.label]);
+      updates.push([`${ENTRY_PREFIX}${key}`, { title, visible }]);
+    });
+  } else {
+    updates.push([MENU_ID, { title: getMessage('contextMenuTitle') }]);
+    Object.entries(UNITS).forEach(([key, unit]) => {
+      updates.push([`${ENTRY_PREFIX}${key}`, {
+        title: getMessage('contextMenuEntry', [unit.label]),
+        visible: true,
+      }]);
+    });
+  }
+
+  await Promise.all(updates.map(([id, properties]) => chrome.contextMenus.update(id, properties)));
+}
+
+/**
+ * Handles the selections reported by the selection script.
+ *
+ * @function handleSelectionMessage
+ * @param {{type: string, selection: string}} message
+ */
+export function handleSelectionMessage(message) {
+  if (message?.type !== MESSAGE_TYPES.SELECTION_CHANGED) return;
+
+  previewSelection(String(message.selection || '')).catch(error => {
+    console.warn('Converto: unable to preview the selection', error);
+  });
+}
+
+/**
+ * Converts a selected text to a unit.
+ *
+ * @async
+ * @function convertSelection
+ * @param {string} selection - e.g. "24px"; a bare number is read in px.
+ * @param {string} toUnit - The target unit key (e.g. 'REM').
+ * @returns {Promise<string|null>} The result in the copy format, null when the selection is not a length.
+ */
+async function convertSelection(selection, toUnit) {
+  const length = parseLength(selection);
+  if (!length) return null;
+
+  return convertLength(length, toUnit, await loadConversionContext());
+}
+
+/**
+ * Handles a click on one of the context menu entries.
+ *
+ * @async
+ * @function handleContextMenuClick
+ * @param {chrome.contextMenus.OnClickData} info
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<void>}
+ */
+export async function handleContextMenuClick(info, tab) {
+  const id = String(info.menuItemId);
+  if (!id.startsWith(ENTRY_PREFIX) || tab?.id === undefined) return;
+
+  const selection = (info.selectionText || '').trim();
+  const text = await convertSelection(selection, id.slice(ENTRY_PREFIX.length));
+
+  if (text === null) {
+    await copyInTab(tab.id, null, getMessage('noticeNotLength', [selection]));
+  } else {
+    await copyInTab(tab.id, text, getMessage('noticeCopied', [text]));
+  }
+}
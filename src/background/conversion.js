@@ -0,0 +1,45 @@
+/**
+ * @fileOverview
+ * Conversions made by the service worker (context menu, omnibox), with the
+ * same functions, base values and output format as the popup.
+ */
+
+import { getConversion, directConversion } from '@utils/converters';
+import { formatCopy } from '@utils/format';
+import { loadSettings } from '@utils/settings';
+import { getActiveProfile } from '@utils/profiles';
+
+/**
+ * Loads what the conversions depend on: the base values of the active profile,
+ * the output format and the selected conversion. The worker may be restarted
+ * at any time, so nothing is cached.
+ *
+ * @async
+ * @function loadConversionContext
+ * @returns {Promise<{baseValues: object, format: object, conversion: string}>}
+ */
+export async function loadConversionContext() {
+  const settings = await loadSettings();
+
+  return {
+    baseValues: getActiveProfile(settings).baseValues,
+    format: settings.format,
+    conversion: settings.selectedConversion,
+  };
+}
+
+/**
+ * Converts a length and writes it in the user's copy format.
+ *
+ * @function convertLength
+ * @param {{value: number, unitKey: string}} length - See `parseLength`.
+ * @param {string} toUnit - The target unit key (e.g. 'REM').
+ * @param {{baseValues: object, format: object}} context - See `loadConversionContext`.
+ * @returns {string}
+ */
+export function convertLength(length, toUnit, { baseValues, format }) {
+  const conversion = getConversion(length.unitKey, toUnit);
+  const result = directConversion(conversion, length.value, baseValues);
+
+  return formatCopy(result, toUnit, format, baseValues);
+}
@@ -0,0 +1,32 @@
+/**
+ * @fileOverview
+ * Background service worker. It registers the "Converto" context menu,
+ * which converts the length selected in any page, the `cv` omnibox keyword
+ * and the keyboard shortcuts.
+ */
+
+import {
+  createContextMenus,
+  syncSelectionScript,
+  handleContextMenuClick,
+  handleSelectionMessage,
+} from './contextMenu';
+import { handleInputStarted, handleInputChanged, handleInputEntered } from './omnibox';
+import { handleCommand } from './commands';
+
+chrome.runtime.onInstalled.addListener(async () => {
+  await createContextMenus();
+  await syncSelectionScript();
+});
+chrome.contextMenus.onClicked.addListener(handleContextMenuClick);
+
+// Context menu preview, enabled by granting the optional host permission
+chrome.permissions.onAdded.addListener(syncSelectionScript);
+chrome.permissions.onRemoved.addListener(syncSelectionScript);
+chrome.runtime.onMessage.addListener(handleSelectionMessage);
+
+chrome.omnibox.onInputStarted.addListener(handleInputStarted);
+chrome.omnibox.onInputChanged.addListener(handleInputChanged);
+chrome.omnibox.onInputEntered.addListener(handleInputEntered);
+
+chrome.commands.onCommand.addListener(handleCommand);
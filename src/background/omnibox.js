@@ -0,0 +1,135 @@
+/**
+ * @fileOverview
+ * Omnibox keyword: `cv 24px rem` or `cv 1.5rem` in the address bar lists the
+ * length converted to the other units, and Enter copies the selected result.
+ */
+
+import { UNITS } from '@utils/converters';
+import { parseLength, getUnitKey } from '@utils/expression';
+import { getMessage } from '@utils/i18n';
+import { loadConversionContext, convertLength } from './conversion';
+import { copyOffscreen } from './clipboard';
+import { flashBadge } from './badge';
+
+// Content of the suggestions, e.g. "copy:REM:1.5rem": tells a picked result from a
+// typed query without keeping state (the worker may be restarted in between), and the
+// unit key keeps the contents unique when the copy format leaves the unit out
+const SUGGESTION_PATTERN = /^copy:[A-Z_]+:(.*)$/s;
+
+/**
+ * Escapes a text for the XML of the suggestion descriptions.
+ *
+ * @function escapeXml
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Reads the text typed after the keyword.
+ *
+ * @function parseQuery
+ * @param {string} text - e.g. "24px", "24px rem" or "24px to rem"
+ * @returns {{length: {value: number, unitKey: string}, toUnit: string|null}|null}
+ */
+export function parseQuery(text) {
+  const length = parseLength(text);
+  if (length) return { length, toUnit: null };
+
+  const match = text.trim().match(/^(.+?)\s+(?:(?:to|in)\s+)?([a-z%]+)$/i);
+  if (!match) return null;
+
+  const source = parseLength(match[1]);
+  const toUnit = getUnitKey(match[2]);
+
+  return source && toUnit ? { length: source, toUnit } : null;
+}
+
+/**
+ * Converts the query to the requested unit first, then to every other unit.
+ *
+ * @async
+ * @function getResults
+ * @param {string} text
+ * @returns {Promise<Array<{unitKey: string, content: string, description: string}>|null>} null when the query is not a length.
+ */
+async function getResults(text) {
+  const query = parseQuery(text);
+  if (!query) return null;
+
+  const { length, toUnit } = query;
+  const context = await loadConversionContext();
+  const others = Object.keys(UNITS).filter(key => key !== length.unitKey && key !== toUnit);
+  const source = `${length.value}${UNITS[length.unitKey].suffix}`;
+
+  return (toUnit ? [toUnit, ...others] : others).map(key => {
+    const content = convertLength(length, key, context);
+    return {
+      unitKey: key,
+      content,
+      description: `${escapeXml(source)} = <match>${escapeXml(content)}</match> <dim>${escapeXml(UNITS[key].label)}</dim>`,
+    };
+  });
+}
+
+/**
+ * Updates the suggestions while the user types.
+ *
+ * @async
+ * @function handleInputChanged
+ * @param {string} text
+ * @param {function(Array): void} suggest
+ * @returns {Promise<void>}
+ */
+export async function handleInputChanged(text, suggest) {
+  const results = await getResults(text);
+
+  if (!results) {
+    chrome.omnibox.setDefaultSuggestion({ description: getMessage('omniboxHint') });
+    suggest([]);
+    return;
+  }
+
+  // The first result is the default one, copied when Enter is pressed on the query
+  const [first, ...others] = results;
+  chrome.omnibox.setDefaultSuggestion({ description: `${first.description} <dim>${escapeXml(getMessage('omniboxEnterToCopy'))}</dim>` });
+  suggest(others.map(({ unitKey, content, description }) => ({ content: `copy:${unitKey}:${content}`, description })));
+}
+
+/**
+ * Copies the picked suggestion, or the default result of the typed query.
+ *
+ * @async
+ * @function handleInputEntered
+ * @param {string} text - The typed query, or the content of the picked suggestion.
+ * @returns {Promise<void>}
+ */
+export async function handleInputEntered(text) {
+  const picked = text.match(SUGGESTION_PATTERN);
+  let content = picked?.[1];
+
+  if (!picked) {
+    const results = await getResults(text);
+    if (!results) return;
+    content = results[0].content;
+  }
+
+  const copied = await copyOffscreen(content);
+  await flashBadge(copied ? '✓' : '!');
+}
+
+/**
+ * Resets the default suggestion when the keyword is typed.
+ *
+ * @function handleInputStarted
+ */
+export function handleInputStarted() {
+  chrome.omnibox.setDefaultSuggestion({ description: getMessage('omniboxHint') });
+}
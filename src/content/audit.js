@@ -0,0 +1,229 @@
+/**
+ * @fileOverview
+ * Collects the spacing and sizing values of the page for the audit
+ * (see `@utils/audit`): the declared values from the stylesheets and the
+ * inline styles, and the rendered values from the computed styles.
+ */
+
+import { AUDIT_PROPERTIES, groupDeclarations, groupRenderedValues } from '@utils/audit';
+import { getSelector } from './picker';
+
+// Upper bound of the elements measured, so that huge pages stay responsive
+const MAX_ELEMENTS = 5000;
+
+const LONGHANDS = Object.values(AUDIT_PROPERTIES).flat();
+
+// Logical margins, read as the physical ones of a horizontal writing mode
+const LOGICAL_MARGINS = {
+  'margin-inline-start': 'margin-left',
+  'margin-inline-end': 'margin-right',
+  'margin-block-start': 'margin-top',
+  'margin-block-end': 'margin-bottom',
+};
+
+/**
+ * Reads the audited declarations of a style declaration block.
+ * Shorthands are read through their longhands, like the computed styles.
+ *
+ * @function readStyle
+ * @param {CSSStyleDeclaration} style
+ * @param {string} selector
+ * @param {Array} declarations - Receives the declarations.
+ */
+function readStyle(style, selector, declarations) {
+  for (let i = 0; i < style.length; i++) {
+    const property = style[i];
+    const value = style.getPropertyValue(property);
+    if (value) declarations.push({ property, value, selector });
+  }
+}
+
+/**
+ * Checks whether the condition of a grouping rule currently holds.
+ * Rules without a condition (@layer, nested style rules...) always apply.
+ *
+ * @function isConditionMet
+ * @param {CSSRule} rule
+ * @returns {boolean}
+ */
+function isConditionMet(rule) {
+  if (rule instanceof CSSMediaRule) return window.matchMedia(rule.media.mediaText).matches;
+  if (rule instanceof CSSSupportsRule) return CSS.supports(rule.conditionText);
+  return true;
+}
+
+/**
+ * Reads the declarations of a list of rules, including the rules nested
+ * in at-rules (@media, @supports, @layer...) and in style rules.
+ * Every declaration is audited, but only the `auto` margins of the rules
+ * that currently apply are kept: the others don't shape the rendered page.
+ *
+ * @function readRules
+ * @param {CSSRuleList} rules
+ * @param {{declarations: Array, autoMargins: Array}} collected - Receives the declarations.
+ * @param {boolean} applies - Whether the enclosing conditions hold.
+ */
+function readRules(rules, collected, applies) {
+  [...rules].forEach(rule => {
+    if (rule.style && rule.selectorText) {
+      const declarations = [];
+      readStyle(rule.style, rule.selectorText, declarations);
+      collected.declarations.push(...declarations);
+      if (applies) collected.autoMargins.push(...getAutoMargins(declarations));
+    }
+    if (rule.cssRules) readRules(rule.cssRules, collected, applies && isConditionMet(rule));
+  });
+}
+
+/**
+ * Reads the declarations of the stylesheets.
+ * Cross-origin stylesheets can't be read: they are counted as skipped.
+ *
+ * @function readStylesheets
+ * @param {{declarations: Array, autoMargins: Array}} collected - Receives the declarations.
+ * @returns {{read: number, skipped: number}}
+ */
+function readStylesheets(collected) {
+  const sheets = [...document.styleSheets, ...(document.adoptedStyleSheets || [])];
+  let skipped = 0;
+
+  sheets.forEach(sheet => {
+    const applies = !sheet.disabled && window.matchMedia(sheet.media.mediaText).matches;
+
+    try {
+      readRules(sheet.cssRules, collected, applies);
+    } catch {
+      skipped++;
+    }
+  });
+
+  return { read: sheets.length - skipped, skipped };
+}
+
+/**
+ * Returns the margin sides declared `auto` by a list of declarations.
+ *
+ * @function getAutoMargins
+ * @param {Array<{property: string, value: string, selector: string}>} declarations
+ * @returns {Array<{property: string, selector: string}>} e.g. { property: 'margin-left', selector: '.container' }
+ */
+function getAutoMargins(declarations) {
+  return declarations
+    .filter(({ property, value }) => property.startsWith('margin-') && value.trim() === 'auto')
+    .map(({ property, selector }) => ({ property: LOGICAL_MARGINS[property] || property, selector }));
+}
+
+/**
+ * Finds the elements of the `auto` margin rules. Each selector is queried
+ * once, rather than matched against every element.
+ * Selectors the DOM API can't query (e.g. nested `&` rules) match nothing.
+ *
+ * @function matchAutoMargins
+ * @param {Array<{property: string, selector: string}>} autoMargins - See `getAutoMargins`.
+ * @returns {Map<Element, Set<string>>} The `auto` margin sides of each element.
+ */
+function matchAutoMargins(autoMargins) {
+  const selectors = new Map();
+  autoMargins.forEach(({ property, selector }) => {
+    if (!selectors.has(selector)) selectors.set(selector, new Set());
+    selectors.get(selector).add(property);
+  });
+
+  const matches = new Map();
+  selectors.forEach((properties, selector) => {
+    let elements = [];
+    try {
+      elements = document.querySelectorAll(selector);
+    } catch {
+      return;
+    }
+
+    elements.forEach(element => {
+      if (!matches.has(element)) matches.set(element, new Set());
+      properties.forEach(property => matches.get(element).add(property));
+    });
+  });
+
+  return matches;
+}
+
+/**
+ * Reads the rendered values of the visible elements, and their inline styles.
+ * The computed styles resolve `auto` margins to px: the sides set to `auto`
+ * by the inline style or a matching rule are left out, so that centered
+ * blocks aren't reported as hardcoded spacing. The inline style overrides the
+ * rules; between the rules the cascade is not resolved, so any `auto` wins.
+ *
+ * @function readElements
+ * @param {{declarations: Array, autoMargins: Array}} collected - The declarations
+ * of the stylesheets, receives the inline ones.
+ * @returns {{values: Array, count: number, truncated: boolean}}
+ */
+function readElements({ declarations, autoMargins: autoRules }) {
+  const ruleMargins = matchAutoMargins(autoRules);
+  const elements = [...document.querySelectorAll('body, body *')];
+  const measured = elements.slice(0, MAX_ELEMENTS);
+  const values = [];
+
+  measured.forEach(element => {
+    // Hidden elements don't render their spacing
+    if (element.getClientRects().length === 0) return;
+
+    const selector = getSelector(element);
+    const styles = window.getComputedStyle(element);
+    const parent = element.parentElement;
+
+    const inline = [];
+    if (element.style?.length) readStyle(element.style, `${selector}[style]`, inline);
+    declarations.push(...inline);
+
+    const inlineMargins = inline
+      .filter(({ property }) => property.startsWith('margin-'))
+      .map(({ property }) => LOGICAL_MARGINS[property] || property);
+    const autoMargins = new Set(getAutoMargins(inline).map(rule => rule.property));
+    (ruleMargins.get(element) || new Set()).forEach(property => {
+      if (!inlineMargins.includes(property)) autoMargins.add(property);
+    });
+
+    LONGHANDS.forEach(property => {
+      if (autoMargins.has(property)) return;
+
+      const value = styles.getPropertyValue(property);
+      // Percentages (e.g. rounded avatars) and keywords ("normal" gaps) are not lengths
+      if (!value.endsWith('px')) return;
+
+      // The font size is inherited: only count the elements that change it
+      if (property === 'font-size' && parent && window.getComputedStyle(parent).fontSize === value) return;
+
+      values.push({ property, px: parseFloat(value), selector });
+    });
+  });
+
+  return { values, count: measured.length, truncated: elements.length > measured.length };
+}
+
+/**
+ * Audits the page against the base unit grid.
+ *
+ * @function auditPage
+ * @param {number} baseUnit - The grid step, in px.
+ * @returns {object} The report: the page, the counts and the values grouped
+ * by value (see `groupDeclarations` and `groupRenderedValues`).
+ */
+export function auditPage(baseUnit) {
+  const rootFontSize = parseFloat(window.getComputedStyle(document.documentElement).fontSize) || 16;
+  const collected = { declarations: [], autoMargins: [] };
+  const stylesheets = readStylesheets(collected);
+  const elements = readElements(collected);
+
+  return {
+    url: window.location.href,
+    date: new Date().toISOString(),
+    baseUnit,
+    rootFontSize,
+    stylesheets,
+    elements: { count: elements.count, truncated: elements.truncated },
+    declared: groupDeclarations(collected.declarations, { baseUnit, rootFontSize }),
+    rendered: groupRenderedValues(elements.values, baseUnit),
+  };
+}
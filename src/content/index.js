@@ -0,0 +1,56 @@
+/**
+ * @fileOverview
+ * Content script injected on demand in the active tab (see `@utils/messaging`).
+ * It answers the popup requests about the inspected page.
+ */
+
+import { MESSAGE_TYPES } from '@utils/messaging';
+import { saveInspection } from '@utils/inspection';
+import { readPageMetrics } from './pageMetrics';
+import { startPicker } from './picker';
+import { auditPage } from './audit';
+
+/**
+ * Stores the picked element and notifies the extension pages still open.
+ * The popup is usually closed by then: it reads the stored value when reopened.
+ *
+ * @async
+ * @function handlePick
+ * @param {object} inspection
+ */
+async function handlePick(inspection) {
+  await saveInspection(inspection);
+
+  try {
+    await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.PICKER_RESULT, inspection });
+  } catch {
+    // No extension page is listening
+  }
+}
+
+/**
+ * Handles the messages sent by the extension pages.
+ *
+ * @function handleMessage
+ * @param {{type: string}} message
+ * @param {chrome.runtime.MessageSender} sender
+ * @param {function} sendResponse
+ */
+function handleMessage(message, sender, sendResponse) {
+  switch (message?.type) {
+    case MESSAGE_TYPES.GET_PAGE_METRICS:
+      sendResponse(readPageMetrics());
+      break;
+    case MESSAGE_TYPES.START_PICKER:
+      startPicker(handlePick);
+      sendResponse({});
+      break;
+    case MESSAGE_TYPES.AUDIT_PAGE:
+      sendResponse(auditPage(message.baseUnit));
+      break;
+    default:
+      break;
+  }
+}
+
+chrome.runtime.onMessage.addListener(handleMessage);
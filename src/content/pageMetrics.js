@@ -0,0 +1,22 @@
+/**
+ * Reads the values of the current page that can be used as base values.
+ *
+ * @function readPageMetrics
+ * @returns {{rootFontSize: number, viewportWidth: number, bodyWidth: number}}
+ */
+export function readPageMetrics() {
+  const root = document.documentElement;
+  const rootFontSize = parseFloat(window.getComputedStyle(root).fontSize) || 16;
+
+  // clientWidth excludes the vertical scrollbar, like the CSS viewport does
+  const viewportWidth = root.clientWidth || window.innerWidth;
+  const bodyWidth = document.body
+    ? Math.round(document.body.getBoundingClientRect().width)
+    : viewportWidth;
+
+  return {
+    rootFontSize,
+    viewportWidth,
+    bodyWidth,
+  };
+}
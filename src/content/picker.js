@@ -0,0 +1,221 @@
+/**
+ * @fileOverview
+ * Element picker: highlights the hovered element and measures the clicked one.
+ * Everything is styled inline, so that no stylesheet is added to the page.
+ */
+
+import { computeContentSize } from '@utils/globalMethods';
+
+const OVERLAY_STYLE = {
+  position: 'fixed',
+  zIndex: '2147483647',
+  pointerEvents: 'none',
+  boxSizing: 'border-box',
+  background: 'rgba(49, 252, 168, .2)',
+  border: '1px solid #31FCA8',
+  transition: 'all .05s linear',
+};
+
+const LABEL_STYLE = {
+  position: 'absolute',
+  left: '0',
+  bottom: '100%',
+  padding: '2px 4px',
+  background: '#333',
+  color: '#fff',
+  font: '11px/1.4 monospace',
+  whiteSpace: 'nowrap',
+};
+
+// Active picker session, null when the picker is not running
+let session = null;
+
+/**
+ * Returns a short, readable selector for the element (e.g. "div#main.card").
+ *
+ * @function getSelector
+ * @param {Element} element
+ * @returns {string}
+ */
+export function getSelector(element) {
+  const id = element.id ? `#${CSS.escape(element.id)}` : '';
+  const classes = [...element.classList]
+    .slice(0, 2)
+    .map(name => `.${CSS.escape(name)}`)
+    .join('');
+
+  return `${element.tagName.toLowerCase()}${id}${classes}`;
+}
+
+/**
+ * Checks whether an element is the containing block of its fixed and absolute
+ * descendants whatever its position: transforms, filters and layout or paint
+ * containment all make it one, and `offsetParent` ignores them.
+ *
+ * @function containsFixedElements
+ * @param {CSSStyleDeclaration} styles - The computed styles of the ancestor.
+ * @returns {boolean}
+ */
+function containsFixedElements(styles) {
+  return ['transform', 'translate', 'rotate', 'scale', 'perspective', 'filter', 'backdropFilter']
+    .some(property => styles[property] && styles[property] !== 'none')
+    || /\b(layout|paint|strict|content)\b/.test(styles.contain)
+    || /\b(size|inline-size)\b/.test(styles.containerType)
+    || /\b(transform|translate|rotate|scale|perspective|filter)\b/.test(styles.willChange);
+}
+
+/**
+ * Measures the padding box of an element.
+ *
+ * @function measurePaddingBox
+ * @param {Element} element
+ * @param {CSSStyleDeclaration} styles - The computed styles of the element.
+ * @returns {{width: number, height: number}} Values in px, without the scrollbars.
+ */
+function measurePaddingBox(element, styles) {
+  // The clientWidth and clientHeight of the root are the viewport's
+  if (element !== document.documentElement) {
+    return { width: element.clientWidth, height: element.clientHeight };
+  }
+
+  const { width, height, padding } = computeContentSize(styles);
+  return {
+    width: width + padding.left + padding.right,
+    height: height + padding.top + padding.bottom,
+  };
+}
+
+/**
+ * Measures the containing block of an element, the reference of its % sizes.
+ *
+ * - In-flow elements: the content box of the parent.
+ * - Absolute elements: the padding box of the closest positioned ancestor, or
+ *   of one matched by `containsFixedElements`. Unlike `offsetParent`, table
+ *   cells and tables that are not positioned are skipped.
+ * - Fixed elements: the padding box of the closest ancestor matched by
+ *   `containsFixedElements`.
+ *
+ * Without such an ancestor, it is the viewport (the initial containing block).
+ *
+ * @function measureContainingBlock
+ * @param {Element} element
+ * @param {CSSStyleDeclaration} styles - The computed styles of the element.
+ * @returns {{width: number, height: number}} Values in px.
+ */
+function measureContainingBlock(element, styles) {
+  const viewport = {
+    width: document.documentElement.clientWidth,
+    height: document.documentElement.clientHeight,
+  };
+  const { position } = styles;
+
+  if (position !== 'absolute' && position !== 'fixed') {
+    return element.parentElement
+      ? computeContentSize(window.getComputedStyle(element.parentElement))
+      : viewport;
+  }
+
+  for (let ancestor = element.parentElement; ancestor; ancestor = ancestor.parentElement) {
+    const ancestorStyles = window.getComputedStyle(ancestor);
+    const positioned = position === 'absolute' && ancestorStyles.position !== 'static';
+
+    if (positioned || containsFixedElements(ancestorStyles)) {
+      return measurePaddingBox(ancestor, ancestorStyles);
+    }
+  }
+
+  return viewport;
+}
+
+/**
+ * Measures the box metrics of an element, in px.
+ *
+ * @function measureElement
+ * @param {Element} element
+ * @returns {object} The inspection sent to the popup.
+ */
+export function measureElement(element) {
+  const styles = window.getComputedStyle(element);
+  const containingBlock = measureContainingBlock(element, styles);
+  const parentStyles = window.getComputedStyle(element.parentElement || document.documentElement);
+
+  return {
+    selector: getSelector(element),
+    url: window.location.href,
+    ...computeContentSize(styles),
+    fontSize: parseFloat(styles.fontSize) || 0,
+    rootFontSize: parseFloat(window.getComputedStyle(document.documentElement).fontSize) || 16,
+    parentFontSize: parseFloat(parentStyles.fontSize) || 16,
+    containingBlock: {
+      width: containingBlock.width,
+      height: containingBlock.height,
+    },
+  };
+}
+
+/**
+ * Starts the picker. The callback receives the measures of the clicked element.
+ * Pressing Escape stops the picker without calling it.
+ *
+ * @function startPicker
+ * @param {function(object): void} onPick
+ */
+export function startPicker(onPick) {
+  if (session) stopPicker();
+
+  const overlay = document.createElement('div');
+  const label = document.createElement('div');
+  Object.assign(overlay.style, OVERLAY_STYLE);
+  Object.assign(label.style, LABEL_STYLE);
+  overlay.appendChild(label);
+  document.documentElement.appendChild(overlay);
+
+  function handleMove(event) {
+    const element = event.target;
+    if (!(element instanceof Element)) return;
+
+    const rect = element.getBoundingClientRect();
+    Object.assign(overlay.style, {
+      top: `${rect.top}px`,
+      left: `${rect.left}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`,
+    });
+    label.textContent = `${getSelector(element)} ${Math.round(rect.width)}×${Math.round(rect.height)}`;
+  }
+
+  function handleClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const measures = measureElement(event.target);
+    stopPicker();
+    onPick(measures);
+  }
+
+  function handleKeyDown(event) {
+    if (event.key === 'Escape') stopPicker();
+  }
+
+  // Capture phase: the page must not react to the picking click
+  document.addEventListener('mousemove', handleMove, true);
+  document.addEventListener('click', handleClick, true);
+  document.addEventListener('keydown', handleKeyDown, true);
+
+  session = { overlay, handleMove, handleClick, handleKeyDown };
+}
+
+/**
+ * Stops the picker and removes the overlay.
+ *
+ * @function stopPicker
+ */
+export function stopPicker() {
+  if (!session) return;
+
+  document.removeEventListener('mousemove', session.handleMove, true);
+  document.removeEventListener('click', session.handleClick, true);
+  document.removeEventListener('keydown', session.handleKeyDown, true);
+  session.overlay.remove();
+  session = null;
+}
@@ -0,0 +1,48 @@
+/**
+ * @fileOverview
+ * Content script registered in every page when the context menu preview is
+ * enabled (see `@utils/menuPreview`). It reports the selected text to the
+ * service worker, which writes the results in the menu before it opens.
+ *
+ * Registered content scripts are classic scripts: this one can't import the
+ * shared modules, so it stays self-contained.
+ */
+
+// MESSAGE_TYPES.SELECTION_CHANGED of `@utils/messaging`
+const SELECTION_CHANGED = 'converto/selection-changed';
+
+// Longer selections are not lengths, and are not sent
+const MAX_SELECTION_LENGTH = 64;
+
+// Selection changes fire while dragging: report once it settles
+const REPORT_DELAY = 100;
+
+let reported = null;
+let timeout = null;
+
+/**
+ * Sends the selected text, unless it was the last one sent.
+ *
+ * @function report
+ * @param {boolean} force - Sends it again, e.g. when the tab is shown.
+ */
+function report(force = false) {
+  const text = String(window.getSelection() || '').trim();
+  const selection = text.length <= MAX_SELECTION_LENGTH ? text : '';
+  if (selection === reported && !force) return;
+
+  reported = selection;
+  chrome.runtime.sendMessage({ type: SELECTION_CHANGED, selection }).catch(() => {
+    // The extension was reloaded or updated: this script is orphaned
+  });
+}
+
+document.addEventListener('selectionchange', () => {
+  clearTimeout(timeout);
+  timeout = setTimeout(report, REPORT_DELAY);
+});
+
+// The menu is shared by every tab: the shown tab sets it
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible') report(true);
+});
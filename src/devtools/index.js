@@ -0,0 +1,13 @@
+/**
+ * @fileOverview
+ * DevTools page: adds the "Converto" pane to the sidebar of the Elements panel.
+ * The pane lists the box metrics of the selected element in every unit.
+ */
+
+import { getMessage } from '@utils/i18n';
+
+const PANE_PATH = 'src/devtools/pane.html';
+
+chrome.devtools.panels.elements.createSidebarPane(getMessage('devtoolsPaneTitle'), pane => {
+  pane.setPage(PANE_PATH);
+});
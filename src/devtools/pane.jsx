@@ -0,0 +1,13 @@
+import { StrictMode } from 'react'
+import { createRoot } from 'react-dom/client'
+import '@popup/styles/main.scss'
+import ElementsPane from '@popup/components/ElementsPane.jsx'
+import { getLocale } from '@utils/i18n'
+
+document.documentElement.lang = getLocale()
+
+createRoot(document.getElementById('root')).render(
+  <StrictMode>
+    <ElementsPane />
+  </StrictMode>,
+)
@@ -1,18 +1,88 @@
 import fs from 'fs-extra';
 import path from 'path';
+import { COMMAND_SHORTCUTS } from './utils/commands.js';
+
+// Written by Vite (`build.manifest`), with the chunks imported by each entry
+const BUILD_MANIFEST_PATH = 'dist/.vite/manifest.json';
+
+const CONTENT_SCRIPT_ENTRY = 'src/content/index.js';
+
+/**
+ * Lists the files of the content script: its entry and the chunks it imports,
+ * which the page must be able to load too.
+ *
+ * @async
+ * @function getContentScriptFiles
+ * @returns {Promise<string[]>} e.g. ['assets/content.js', 'assets/messaging.js']
+ */
+async function getContentScriptFiles() {
+  const chunks = await fs.readJSON(path.resolve(BUILD_MANIFEST_PATH));
+  const files = new Set();
+
+  function addChunk(key) {
+    const chunk = chunks[key];
+    if (files.has(chunk.file)) return;
+
+    files.add(chunk.file);
+    (chunk.imports || []).forEach(addChunk);
+  }
+
+  addChunk(CONTENT_SCRIPT_ENTRY);
+  return [...files];
+}
 
 export async function getManifest() {
   const pkg = await fs.readJSON(path.resolve('package.json'));
 
   const manifest = {
     manifest_version: 3,
-    name: pkg.displayName || pkg.name,
+    // Resolved by Chrome from `_locales/<locale>/messages.json`
+    name: "__MSG_extName__",
     version: pkg.version,
-    description: pkg.description,
+    description: "__MSG_extDescription__",
+    default_locale: "en",
     action: {
       default_popup: "src/popup/index.html",
       default_icon: "icon.png"
     },
+    // Same converter as the popup, kept open next to the page
+    side_panel: {
+      default_path: "src/sidepanel/index.html"
+    },
+    // Adds the Converto pane to the Elements panel sidebar
+    devtools_page: "src/devtools/index.html",
+    // Bundled as an ES module, so it can import the shared chunks
+    background: {
+      service_worker: "assets/background.js",
+      type: "module"
+    },
+    permissions: [
+      "storage",
+      "activeTab",
+      "scripting",
+      "contextMenus",
+      "clipboardWrite",
+      "offscreen",
+      "sidePanel"
+    ],
+    // Asked when the context menu preview is enabled (see `src/utils/menuPreview.js`)
+    optional_host_permissions: [
+      "<all_urls>"
+    ],
+    omnibox: {
+      keyword: "cv"
+    },
+    commands: COMMAND_SHORTCUTS,
+    // The content script is injected on demand and loaded as an ES module.
+    // Only its own chunks are exposed, behind a per-session URL that pages
+    // can't use to detect the extension.
+    web_accessible_resources: [
+      {
+        resources: await getContentScriptFiles(),
+        matches: ["<all_urls>"],
+        use_dynamic_url: true
+      }
+    ],
     icons: {
       16: "icon.png",
       48: "icon.png",
@@ -0,0 +1,27 @@
+/**
+ * @fileOverview
+ * Offscreen document used by the service worker to write to the clipboard,
+ * when there is no page to copy from (e.g. from the omnibox on a new tab).
+ */
+
+import { MESSAGE_TYPES } from '@utils/messaging';
+
+/**
+ * Handles the messages sent by the service worker.
+ *
+ * @function handleMessage
+ * @param {{type: string, text: string}} message
+ * @param {chrome.runtime.MessageSender} sender
+ * @param {function} sendResponse
+ */
+function handleMessage(message, sender, sendResponse) {
+  if (message?.type !== MESSAGE_TYPES.COPY_TEXT) return;
+
+  // navigator.clipboard needs a focused document, execCommand doesn't
+  const field = document.getElementById('clipboard');
+  field.value = message.text;
+  field.select();
+  sendResponse({ copied: document.execCommand('copy') });
+}
+
+chrome.runtime.onMessage.addListener(handleMessage);
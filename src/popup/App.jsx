@@ -1,133 +1,229 @@
 /**
  * @fileOverview
- * This file contains a single React component that performs multiple conversions between units:
- * - PX ↔ REM
- * - PX ↔ EM
- * - PX ↔ %
- * - Base Unit ↔ PX
- *
- * It also allows the user to customize the base values used for these conversions:
- * - 1rem in px (default: 16)
- * - 1em in px (default: 16)
- * - containerWidth in px (default: 1024)
- * - baseUnit (default: 8)
- *
- * The user can select a specific conversion mode from a dropdown,
- * input values into two fields, and switch the direction of the conversion if applicable.
+ * Main component of the popup and the side panel: the unit converter with its
+ * base values, and the other modes listed in `./modules/modes`.
  */
 
 import { useState } from 'react';
 import { Repeat, Copy } from 'react-feather';
 import {
+  UNITS,
   directConversion,
   reverseConversion,
-  getLabelsAndPlaceholders
+  getLabelsAndPlaceholders,
+  getConversion,
+  getConversionUnits,
+  getRequiredBases,
+  invertConversion
 } from '@utils/converters';
+import { unitOptions } from '@utils/units';
+import { COPY_FORMATS, formatValue, formatCopy } from '@utils/format';
+import { COMMANDS } from '@utils/commands';
+import { getMessage, localizeNumber, normalizeNumberInput } from '@utils/i18n';
+import { findToken } from '@utils/tokens';
+import { isNewerSettings } from '@utils/settings';
 import {
-  selectOptions,
-  invertedMap
-} from '@utils/units';
+  evaluateExpression,
+  ExpressionError
+} from '@utils/expression';
+import {
+  getActiveProfile,
+  createProfile,
+  duplicateProfile,
+  renameProfile,
+  deleteProfile,
+  selectProfile,
+  updateActiveBaseValues
+} from '@utils/profiles';
 import Select from './components/Select';
 import Input from './components/Input';
 import Button from './components/Button';
 import BaseUnits from './components/BaseUnits';
 import Accordion from './components/Accordion';
-import messages from './modules/messages';
+import Profiles from './components/Profiles';
+import PageValues from './components/PageValues';
+import Inspector from './components/Inspector';
+import Tabs from './components/Tabs';
+import TabPanel from './components/TabPanel';
+import ViewportPresets from './components/ViewportPresets';
+import FluidGenerator from './components/FluidGenerator';
+import ScaleBuilder from './components/ScaleBuilder';
+import Typography from './components/Typography';
+import MobileUnits from './components/MobileUnits';
+import PageAudit from './components/PageAudit';
+import History from './components/History';
+import FormatSettings from './components/FormatSettings';
+import MenuPreview from './components/MenuPreview';
+import TokenSets from './components/TokenSets';
+import SettingsFile from './components/SettingsFile';
+import BatchConverter from './components/BatchConverter';
+import AllUnits from './components/AllUnits';
+import SidePanelButton from './components/SidePanelButton';
+import { canOpenExtensionTab, openExtensionTab } from '@utils/extensionPages';
+import useSettings from './modules/useSettings';
+import useHistory from './modules/useHistory';
+import useTokenSets from './modules/useTokenSets';
+import useCommands from './modules/useCommands';
+import { modeOptions, sidePanelModeOptions } from './modules/modes';
 
 /**
  * Main React component that handles multiple unit conversions and
  * allows customization of the base values (1rem, 1em, container width, base unit).
  *
  * @component
+ * @param {object} props
+ * @param {'popup'|'sidepanel'} props.layout - The page hosting the converter.
  * @returns {JSX.Element} The rendered component.
  */
-export default function App() {
-  // Conversion mode
-  const [selectedConversion, setSelectedConversion] = useState('PX_REM');
+export default function App({ layout = 'popup' }) {
+  const isSidePanel = layout === 'sidepanel';
+
+  // Persisted settings: conversion mode and base values of the active profile
+  const { settings, updateSettings } = useSettings();
+  const { selectedConversion, format } = settings;
+  const activeProfile = getActiveProfile(settings);
+  const baseValues = activeProfile.baseValues;
+  const { baseRem, baseEm, containerWidth, baseUnit, viewportWidth, viewportHeight, dpi } = baseValues;
+
+  // Recent conversions, recorded once the user stops typing
+  const history = useHistory(settings.historyEnabled);
+
+  // Imported design tokens, the active set names the results
+  const tokens = useTokenSets();
+  const activeTokenSet = tokens.tokenSets.find(set => set.id === settings.activeTokenSetId);
 
   // Values for the two conversion inputs
   const [value1, setValue1] = useState('');
   const [value2, setValue2] = useState('');
 
-  // Customizable base values
-  const [baseRem, setBaseRem] = useState(16);                 // default 1rem = 16px
-  const [baseEm, setBaseEm] = useState(16);                   // default 1em = 16px
-  const [containerWidth, setContainerWidth] = useState(1024); // default container = 1024px
-  const [baseUnit, setBaseUnit] = useState(8);                // default base unit = 8px
+  // Last converted value, e.g. { value: 1.5, unitKey: 'REM' }
+  const [lastResult, setLastResult] = useState(null);
+
+  // Inline errors of the two conversion inputs, e.g. { input1: 'Missing ")"' }
+  const [errors, setErrors] = useState({});
+
+  // Base values as typed, e.g. { baseRem: '16,5' } (see `getBaseValueText`)
+  const [baseValueTexts, setBaseValueTexts] = useState({});
+
+  // Popup mode (single value converter, batch...)
+  const [mode, setMode] = useState('converter');
+
+  // Section expanded when the page is opened in a tab, e.g. "#tokens" (see `openExtensionTab`)
+  const [openedSection] = useState(() => window.location.hash.slice(1));
 
   // Copied Value
   const [copied, setCopied] = useState(false);
 
+  // The side panel has room for the all units view and the history under the converter
+  const showAllUnits = mode === 'all' || (isSidePanel && mode === 'converter');
+  const showHistory = mode === 'history' || (isSidePanel && mode === 'converter');
+
   // Retrieve dynamic labels/placeholders based on the conversion type
   const { placeholder1, placeholder2 } = getLabelsAndPlaceholders(selectedConversion);
+  const [unit1, unit2] = getConversionUnits(selectedConversion);
 
   /**
-   * Handle changes in the <select> element for conversion type.
-   * Reset the input fields and set the new conversion mode.
-   * @param {React.ChangeEvent<HTMLSelectElement>} e
+   * Handle changes in the "from" and "to" selects.
+   * Set the new conversion mode and convert the first field again.
+   * @param {'from'|'to'} side - The select that changed.
+   * @param {{value: string, label: string}} option - The selected unit.
    */
-  function handleSelectChange(e) {
-    const newConversion = e.value;
-    setSelectedConversion(newConversion);
-    setValue1('');
-    setValue2('');
+  function handleSelectChange(side, option) {
+    const newConversion = side === 'from'
+      ? getConversion(option.value, unit2)
+      : getConversion(unit1, option.value);
+    updateSettings({ selectedConversion: newConversion });
+    convertValue1(value1, newConversion);
   }
 
   /**
-   * Handle changes in the first input field. Performs the direct conversion.
-   * @param {React.ChangeEvent<HTMLInputElement>} e
+   * Evaluate the text of a field (a number or an expression like `24px + 0.5rem`,
+   * with the decimal separator of the user's locale) in the unit of that field,
+   * and store the error to show inline if any.
+   * @param {string} field - 'input1' or 'input2'.
+   * @param {string} text - The text typed by the user.
+   * @param {string} unitKey - The unit of the field (e.g. 'PX').
+   * @returns {number|null} The value, or null when empty or invalid.
    */
-  function handleValue1Change(e) {
-    const newVal = e.target.value.replace(',', '.');
-    setValue1(newVal);
+  function evaluateField(field, text, unitKey) {
+    try {
+      const value = evaluateExpression(normalizeNumberInput(text), unitKey, baseValues);
+      setErrors({});
+      return value;
+    } catch (error) {
+      if (!(error instanceof ExpressionError)) throw error;
+      setErrors({ [field]: error.message });
+      return null;
+    }
+  }
 
-    const parsedVal = parseFloat(newVal);
-    if (!isNaN(parsedVal)) {
-      const converted = directConversion(selectedConversion, parsedVal, {
-        baseRem,
-        baseEm,
-        containerWidth,
-        baseUnit
-      });
-      // Round to a maximum of 3 decimals
-      setValue2(converted.toFixed(3));
+  /**
+   * Performs the direct conversion of the first field text into the second field.
+   * @param {string} text - The text of the first field.
+   * @param {string} conversion - The conversion to apply (e.g. 'PX_REM').
+   */
+  function convertValue1(text, conversion) {
+    const [fromUnit, toUnit] = getConversionUnits(conversion);
+    const parsedVal = evaluateField('input1', text, fromUnit);
+
+    if (parsedVal !== null) {
+      const result = directConversion(conversion, parsedVal, baseValues);
+      const converted = localizeNumber(formatValue(result, toUnit, format, baseValues));
+      setValue2(converted);
+      setLastResult({ value: result, unitKey: toUnit });
+      history.recordLater({ conversion, input: text, result, unitKey: toUnit, baseValues });
     } else {
       setValue2('');
+      setLastResult(null);
     }
   }
 
+  /**
+   * Handle changes in the first input field. Performs the direct conversion.
+   * @param {React.ChangeEvent<HTMLInputElement>} e
+   */
+  function handleValue1Change(e) {
+    const newVal = e.target.value;
+    setValue1(newVal);
+    convertValue1(newVal, selectedConversion);
+  }
+
   /**
    * Handle changes in the second input field. Performs the reverse conversion.
    * @param {React.ChangeEvent<HTMLInputElement>} e
    */
   function handleValue2Change(e) {
-    const newVal = e.target.value.replace(',', '.');
+    const newVal = e.target.value;
     setValue2(newVal);
 
-    const parsedVal = parseFloat(newVal);
+    const parsedVal = evaluateField('input2', newVal, unit2);
 
-    if (!isNaN(parsedVal)) {
-      const converted = reverseConversion(selectedConversion, parsedVal, {
-        baseRem,
-        baseEm,
-        containerWidth,
-        baseUnit
+    if (parsedVal !== null) {
+      const result = reverseConversion(selectedConversion, parsedVal, baseValues);
+      const converted = localizeNumber(formatValue(result, unit1, format, baseValues));
+      setValue1(converted);
+      setLastResult({ value: result, unitKey: unit1 });
+      history.recordLater({
+        conversion: invertConversion(selectedConversion),
+        input: newVal,
+        result,
+        unitKey: unit1,
+        baseValues,
       });
-      // Round to a maximum of 3 decimals
-      setValue1(converted.toFixed(3));
     } else {
       setValue1('');
+      setLastResult(null);
     }
   }
 
   /**
    * Handle the "switch" button click. Inverts the current conversion type:
-   * e.g. PX_REM ↔ REM_PX, PX_EM ↔ EM_PX, etc.
+   * e.g. PX_REM ↔ REM_PX, REM_EM ↔ EM_REM, etc.
    * Also swaps the input values for consistency.
    */
   function handleSwitch() {
-    const newConversion = invertedMap[selectedConversion] || selectedConversion;
-    setSelectedConversion(newConversion);
+    const newConversion = invertConversion(selectedConversion);
+    updateSettings({ selectedConversion: newConversion });
 
     const tmpValue1 = value1;
     setValue1(value2);
@@ -135,82 +231,385 @@ export default function App() {
   }
 
   /**
-   * Handle the "copy" button click. Copies the value of the second input field to the clipboard.
+   * Update a single base value of the active profile, keeping the others untouched.
+   * @param {string} key - One of the base values keys (baseRem, baseEm, containerWidth...).
+   * @param {React.ChangeEvent<HTMLInputElement>} event
+   */
+  function handleBaseValueChange(key, event) {
+    const text = event.target.value;
+    setBaseValueTexts(previous => ({ ...previous, [key]: text }));
+    updateSettings(previous => updateActiveBaseValues(previous, { [key]: readBaseValue(text) }));
+  }
+
+  /**
+   * Read a base value typed with the decimal separator of the user's locale.
+   * @param {string} text
+   * @returns {number} 0 when the text is not a number.
+   */
+  function readBaseValue(text) {
+    return parseFloat(normalizeNumberInput(text)) || 0;
+  }
+
+  /**
+   * Text of a base value field: what the user typed (e.g. "1," before the
+   * decimals), as long as it still reads as the stored value.
+   * @param {string} key - One of the base values keys.
+   * @returns {string}
+   */
+  function getBaseValueText(key) {
+    const text = baseValueTexts[key];
+    return text !== undefined && readBaseValue(text) === baseValues[key]
+      ? text
+      : localizeNumber(String(baseValues[key]));
+  }
+
+  /**
+   * Opener of a file import in an extension tab: the popup is closed when the
+   * file chooser opens, so it hands the import over.
+   * @param {string} section - The section to expand in the tab (e.g. 'tokens').
+   * @returns {function(): void|null} null when the page can show the file chooser itself.
+   */
+  function getImportOpener(section) {
+    if (isSidePanel || !canOpenExtensionTab()) return null;
+
+    return () => openExtensionTab(section)
+      .then(() => window.close())
+      .catch(error => console.error('Converto: unable to open the import tab', error));
+  }
+
+  /**
+   * Handle the "copy" button click. Copies the value of a field to the clipboard,
+   * in the selected copy format. The copied conversion is recorded right away.
+   * @param {string} field - 'input1' or 'input2'.
    */
   function handleCopy(field) {
+    history.flush();
+
+    const text = field === 'input1' ? value1 : value2;
+    const unitKey = field === 'input1' ? unit1 : unit2;
+
+    try {
+      const value = evaluateExpression(normalizeNumberInput(text), unitKey, baseValues);
+      copyText(value === null ? text : formatCopy(value, unitKey, format, baseValues));
+    } catch (error) {
+      if (!(error instanceof ExpressionError)) throw error;
+      // Copy what was typed, the field already shows the error
+      copyText(text);
+    }
+  }
+
+  /**
+   * Update some of the output format options, keeping the others untouched.
+   * @param {object} values - e.g. { decimals: 2 }
+   */
+  function handleFormatChange(values) {
+    updateSettings(previous => ({ format: { ...previous.format, ...values } }));
+  }
+
+  /**
+   * Load a history entry back into the converter, with the current base values.
+   * @param {object} entry - A history entry.
+   */
+  function handleReuse(entry) {
+    updateSettings({ selectedConversion: entry.conversion });
+    setValue1(entry.input);
+    convertValue1(entry.input, entry.conversion);
+    setMode('converter');
+  }
+
+  /**
+   * Select a token set and apply the base values it provides.
+   * @param {string} id - The token set id, '' for none.
+   */
+  function handleTokenSetSelect(id) {
+    const set = tokens.tokenSets.find(item => item.id === id);
+
+    updateSettings(previous => ({
+      activeTokenSetId: id,
+      ...(set ? updateActiveBaseValues(previous, set.baseValues) : {}),
+    }));
+  }
+
+  /**
+   * Store an imported token set, then select it.
+   * @param {object} set - See `parseTokenSet`.
+   */
+  function handleTokenSetImport(set) {
+    tokens.add(set);
+    updateSettings(previous => ({
+      activeTokenSetId: set.id,
+      ...updateActiveBaseValues(previous, set.baseValues),
+    }));
+  }
+
+  /**
+   * Remove a token set, deselecting it when active.
+   * @param {string} id
+   */
+  function handleTokenSetRemove(id) {
+    tokens.remove(id);
+    if (settings.activeTokenSetId === id) updateSettings({ activeTokenSetId: '' });
+  }
+
+  /**
+   * Returns the token matching the last result, with the result written with its unit.
+   * @returns {{text: string, name: string, exact: boolean}|null}
+   */
+  function getTokenMatch() {
+    if (!activeTokenSet || !lastResult) return null;
+
+    const { value, unitKey } = lastResult;
+    const token = findToken(activeTokenSet.tokens, UNITS[unitKey].toPx(value, baseValues));
+    if (!token) return null;
+
+    return {
+      text: localizeNumber(formatValue(value, unitKey, { ...format, includeUnit: true }, baseValues)),
+      name: token.name,
+      exact: token.exact,
+    };
+  }
+
+  /**
+   * Copies a text to the clipboard and shows the "copied" toast.
+   * @param {string} text
+   */
+  function copyText(text) {
     setCopied(true);
 
-    navigator.clipboard.writeText(field === 'input1' ? value1 : value2);
+    navigator.clipboard.writeText(text);
 
     setTimeout(() => {
       setCopied(false);
     }, 3000);
   }
 
+  const tokenMatch = getTokenMatch();
+
+  // Keyboard shortcuts (see the manifest `commands`)
+  useCommands({
+    [COMMANDS.SWAP_DIRECTION]: handleSwitch,
+    [COMMANDS.COPY_RESULT]: () => handleCopy('input2'),
+  }, isSidePanel);
+
   return (
-    <div className='wrapper'>
-      <div className={`app_toast ${copied ? 'app_toast--active' : ''}`}>
-        {messages.copied}
+    <div className={`wrapper ${isSidePanel ? 'wrapper--side-panel' : ''}`}>
+      {/* The live region stays in the page, so that its new text is announced */}
+      <div
+        className={`app_toast ${copied ? 'app_toast--active' : ''}`}
+        role='status'
+        aria-live='polite'
+      >
+        {copied ? getMessage('copied') : ''}
       </div>
+      {!isSidePanel && <SidePanelButton />}
       <h2 className='app__title'>
-        {messages.title}
+        {getMessage('title')}
       </h2>
       <p className='app__subtitle'>
-        {messages.subtitle}
+        {getMessage('subtitle')}
       </p>
+      {isNewerSettings(settings) && (
+        <p className='app__notice' role='status'>
+          {getMessage('settingsReadOnly')}
+        </p>
+      )}
 
-      {/* -- Conversion type selection -- */}
-      <div className='app__select'>
-        <Select
-          id='conversionType'
-          value={selectedConversion}
-          onChange={handleSelectChange}
-          options={selectOptions}
-        />
-      </div>
+      <Tabs
+        id='mode'
+        label={getMessage('modeLabel')}
+        value={mode}
+        onChange={(option) => setMode(option.value)}
+        options={isSidePanel ? sidePanelModeOptions : modeOptions}
+      />
+
+      <TabPanel tabsId='mode' value={mode} className='app__panel'>
+        {mode === 'converter' && (
+          <>
+            {/* -- Conversion units selection -- */}
+            <div className='app__select'>
+              <Select
+                id='conversionFrom'
+                label={getMessage('from')}
+                value={unit1}
+                onChange={(option) => handleSelectChange('from', option)}
+                options={unitOptions}
+              />
+              <Select
+                id='conversionTo'
+                label={getMessage('to')}
+                value={unit2}
+                onChange={(option) => handleSelectChange('to', option)}
+                options={unitOptions}
+              />
+            </div>
+
+            {/* -- Conversion fields -- */}
+            <div className='app__fields'>
+              <div className="app__input-wrapper">
+                <Button
+                  onClick={() => handleCopy('input1')}
+                  icon={<Copy size={20} />}
+                  label={getMessage('copyValue', [UNITS[unit1].label])}
+                />
+                <Input
+                  id='input1'
+                  type='text'
+                  value={value1}
+                  onChange={handleValue1Change}
+                  placeholder={placeholder1}
+                  ariaLabel={getMessage('valueIn', [UNITS[unit1].label])}
+                  error={errors.input1}
+                  autoFocus
+                />
+              </div>
+              <Button
+                onClick={handleSwitch}
+                icon={<Repeat size={20} />}
+                label={getMessage('swapDirection')}
+              />
+              <div className="app__input-wrapper">
+                <Input
+                  convertion
+                  id='input2'
+                  type='text'
+                  value={value2}
+                  onChange={handleValue2Change}
+                  placeholder={placeholder2}
+                  ariaLabel={getMessage('valueIn', [UNITS[unit2].label])}
+                  error={errors.input2}
+                />
+                <Button
+                  onClick={() => handleCopy('input2')}
+                  icon={<Copy size={20} />}
+                  label={getMessage('copyValue', [UNITS[unit2].label])}
+                />
+              </div>
+            </div>
+
+            <div className='app__copy-format'>
+              <Select
+                id='copyFormat'
+                label={getMessage('copyAs')}
+                value={format.copyFormat}
+                onChange={(option) => handleFormatChange({ copyFormat: option.value })}
+                options={COPY_FORMATS}
+              />
+            </div>
 
-      {/* -- Conversion fields -- */}
-      <div className='app__fields'>
-        <div className="app__input-wrapper">
-          <Button
-            onClick={() => handleCopy('input1')}
-            icon={<Copy size={20} />}
+            {tokenMatch && (
+              <p className='app__token'>
+                {tokenMatch.text} {tokenMatch.exact ? '=' : '≈'} <span>{tokenMatch.name}</span>
+              </p>
+            )}
+
+            <hr />
+
+            {/* -- Element picker -- */}
+            <Accordion
+              label={getMessage('inspectorTitle')}
+              caption={getMessage('inspectorCaption')}
+            >
+              <Inspector baseValues={activeProfile.baseValues} />
+            </Accordion>
+          </>
+        )}
+
+        {/* -- One value in every unit -- */}
+        {showAllUnits && (
+          <>
+            {isSidePanel && <h3 className='app__section-title'>{getMessage('modeAll')}</h3>}
+            <AllUnits
+              bases={baseValues}
+              format={format}
+              autoFocus={!isSidePanel}
+              onCopy={copyText}
+            />
+          </>
+        )}
+
+        {/* -- Batch stylesheet conversion -- */}
+        {mode === 'batch' && (
+          <BatchConverter
+            conversion={selectedConversion}
+            bases={activeProfile.baseValues}
+            format={format}
+            onCopy={copyText}
           />
-          <Input
-            id='input1'
-            value={value1}
-            onChange={handleValue1Change}
-            placeholder={placeholder1}
+        )}
+
+        {/* -- Fluid clamp() generator -- */}
+        {mode === 'fluid' && (
+          <FluidGenerator
+            baseRem={baseRem}
+            onCopy={copyText}
           />
-        </div>
-        <Button
-          onClick={handleSwitch}
-          icon={<Repeat size={20} />}
-        />
-        <div className="app__input-wrapper">
-          <Input
-            convertion
-            id='input2'
-            value={value2}
-            onChange={handleValue2Change}
-            placeholder={placeholder2}
+        )}
+
+        {/* -- Type and spacing scales -- */}
+        {mode === 'scale' && (
+          <ScaleBuilder
+            baseRem={baseRem}
+            baseEm={baseEm}
+            baseUnit={baseUnit}
+            onCopy={copyText}
+          />
+        )}
+
+        {/* -- Line-height and letter-spacing -- */}
+        {mode === 'typography' && (
+          <Typography
+            bases={baseValues}
+            format={format}
+            onCopy={copyText}
           />
-          <Button
-            onClick={() => handleCopy('input2')}
-            icon={<Copy size={20} />}
+        )}
+
+        {/* -- Android and iOS units -- */}
+        {mode === 'mobile' && (
+          <MobileUnits
+            bases={baseValues}
+            format={format}
+            onCopy={copyText}
           />
-        </div>
-      </div>
+        )}
+
+        {/* -- Spacing and sizing audit of the page -- */}
+        {mode === 'audit' && (
+          <PageAudit baseUnit={baseUnit} />
+        )}
+
+        {/* -- Conversion history -- */}
+        {showHistory && (
+          <>
+            {isSidePanel && <h3 className='app__section-title'>{getMessage('modeHistory')}</h3>}
+            <History
+              entries={history.entries}
+              format={format}
+              enabled={settings.historyEnabled}
+              onToggleEnabled={(enabled) => updateSettings({ historyEnabled: enabled })}
+              onReuse={handleReuse}
+              onPin={history.pin}
+              onRemove={history.remove}
+              onClear={history.clear}
+            />
+          </>
+        )}
+      </TabPanel>
 
       <hr />
 
       {/* -- Display current base values in use -- */}
       <div className='app__base-values'>
         <BaseUnits
+          profileName={activeProfile.name || getMessage('untitled')}
           baseRem={baseRem}
-          baseEm={baseRem}
-          containerWidth={baseRem}
-          baseUnit={baseRem}
+          baseEm={baseEm}
+          containerWidth={containerWidth}
+          baseUnit={baseUnit}
+          viewportWidth={viewportWidth}
+          viewportHeight={viewportHeight}
+          dpi={dpi}
+          highlighted={getRequiredBases(selectedConversion)}
         />
       </div>
 
@@ -218,37 +617,124 @@ export default function App() {
 
       {/* -- Custom base values section -- */}
       <Accordion
-        label={messages.customizationTitle}
-        caption={messages.customizationCaption}
+        label={getMessage('customizationTitle')}
+        caption={getMessage('customizationCaption')}
       >
+        <Profiles
+          profiles={settings.profiles}
+          activeProfileId={activeProfile.id}
+          onSelect={(id) => updateSettings(previous => selectProfile(previous, id))}
+          onCreate={() => updateSettings(previous => createProfile(previous))}
+          onDuplicate={(id) => updateSettings(previous => duplicateProfile(previous, id))}
+          onRename={(id, name) => updateSettings(previous => renameProfile(previous, id, name))}
+          onDelete={(id) => updateSettings(previous => deleteProfile(previous, id))}
+        />
+        <PageValues
+          onApply={(values) => updateSettings(previous => updateActiveBaseValues(previous, values))}
+        />
         <Input
           id='baseRem'
-          label={'1rem in px'}
-          value={baseRem}
-          onChange={(event) => setBaseRem(parseFloat(event.target.value) || 0)}
+          type='text'
+          label={getMessage('baseRemLabel')}
+          value={getBaseValueText('baseRem')}
+          onChange={(event) => handleBaseValueChange('baseRem', event)}
           placeholder={'16'}
         />
         <Input
-          id='baseRem'
-          label={'1em in px'}
-          value={baseEm}
-          onChange={(event) => setBaseEm(parseFloat(event.target.value) || 0)}
+          id='baseEm'
+          type='text'
+          label={getMessage('baseEmLabel')}
+          value={getBaseValueText('baseEm')}
+          onChange={(event) => handleBaseValueChange('baseEm', event)}
           placeholder={'16'}
         />
         <Input
-          id='baseRem'
-          label={'Container width in px'}
-          value={containerWidth}
-          onChange={(event) => setContainerWidth(parseFloat(event.target.value) || 0)}
+          id='containerWidth'
+          type='text'
+          label={getMessage('containerWidthLabel')}
+          value={getBaseValueText('containerWidth')}
+          onChange={(event) => handleBaseValueChange('containerWidth', event)}
           placeholder={'16'}
         />
         <Input
-          id='baseRem'
-          label={'Base unit'}
-          value={baseUnit}
-          onChange={(event) => setBaseUnit(parseFloat(event.target.value) || 0)}
+          id='baseUnit'
+          type='text'
+          label={getMessage('baseUnitLabel')}
+          value={getBaseValueText('baseUnit')}
+          onChange={(event) => handleBaseValueChange('baseUnit', event)}
           placeholder={'16'}
         />
+        <Input
+          id='viewportWidth'
+          type='text'
+          label={getMessage('viewportWidthLabel')}
+          value={getBaseValueText('viewportWidth')}
+          onChange={(event) => handleBaseValueChange('viewportWidth', event)}
+          placeholder={'1440'}
+        />
+        <Input
+          id='viewportHeight'
+          type='text'
+          label={getMessage('viewportHeightLabel')}
+          value={getBaseValueText('viewportHeight')}
+          onChange={(event) => handleBaseValueChange('viewportHeight', event)}
+          placeholder={'900'}
+        />
+        <ViewportPresets
+          width={viewportWidth}
+          height={viewportHeight}
+          onChange={(values) => updateSettings(previous => updateActiveBaseValues(previous, values))}
+        />
+        <Input
+          id='dpi'
+          type='text'
+          label={getMessage('dpiLabel')}
+          value={getBaseValueText('dpi')}
+          onChange={(event) => handleBaseValueChange('dpi', event)}
+          placeholder={'96'}
+        />
+      </Accordion>
+
+      {/* -- Design tokens section -- */}
+      <Accordion
+        label={getMessage('tokensTitle')}
+        caption={getMessage('tokensCaption')}
+        defaultExpanded={openedSection === 'tokens'}
+      >
+        <TokenSets
+          tokenSets={tokens.tokenSets}
+          activeTokenSetId={settings.activeTokenSetId}
+          onImport={handleTokenSetImport}
+          onOpenImport={getImportOpener('tokens')}
+          onSelect={handleTokenSetSelect}
+          onRemove={handleTokenSetRemove}
+          onApply={(values) => updateSettings(previous => updateActiveBaseValues(previous, values))}
+        />
+      </Accordion>
+
+      {/* -- Output format section -- */}
+      <Accordion
+        label={getMessage('formatTitle')}
+        caption={getMessage('formatCaption')}
+      >
+        <FormatSettings
+          format={format}
+          onChange={handleFormatChange}
+        />
+        <MenuPreview />
+      </Accordion>
+
+      {/* -- Settings export and import -- */}
+      <Accordion
+        label={getMessage('settingsFileTitle')}
+        caption={getMessage('settingsFileCaption')}
+        defaultExpanded={openedSection === 'settings-file'}
+      >
+        <SettingsFile
+          settings={settings}
+          onApply={updateSettings}
+          onOpenImport={getImportOpener('settings-file')}
+        />
       </Accordion>
     </div>
   );
@@ -1,12 +1,17 @@
-import { useState } from 'react';
+import { useId, useState } from 'react';
 import { ChevronDown } from 'react-feather';
 
 function Accordion({
   label = '',
   caption = '',
+  defaultExpanded = false,
   children = null
 }) {
-  const [expanded, setExpanded] = useState(false);
+  const [expanded, setExpanded] = useState(defaultExpanded);
+
+  const baseId = useId();
+  const labelId = `${baseId}-label`;
+  const contentId = `${baseId}-content`;
 
   function handleClick() {
     setExpanded(expanded => !expanded);
@@ -16,7 +21,7 @@ function Accordion({
     <div className='accordion__container'>
       <div className='accordion__header' >
         <div className='accordion__copies'>
-          <h4 className='accordion__label'>
+          <h4 id={labelId} className='accordion__label'>
             {label}
           </h4>
           <p className='accordion__caption'>
@@ -24,14 +29,23 @@ function Accordion({
           </p>
         </div>
         <button
+          type='button'
           className={`accordion__button ${expanded ? 'close' : 'open'}`}
+          aria-expanded={expanded}
+          aria-controls={contentId}
+          aria-labelledby={labelId}
           onClick={() => handleClick()}
         >
-          <ChevronDown size={32} />
+          <ChevronDown size={32} aria-hidden='true' />
         </button>
       </div>
       {expanded && (
-        <div className='accordion__content'>
+        <div
+          id={contentId}
+          role='region'
+          aria-labelledby={labelId}
+          className='accordion__content'
+        >
           {children}
         </div>
       )}
@@ -39,4 +53,4 @@ function Accordion({
   );
 }
 
-export default Accordion;
\ No newline at end of file
+export default Accordion;
@@ -0,0 +1,94 @@
+import { useState } from 'react';
+import { Copy } from 'react-feather';
+import { UNITS } from '@utils/converters';
+import { unitOptions } from '@utils/units';
+import { formatValue, formatCopy } from '@utils/format';
+import { evaluateExpression, ExpressionError } from '@utils/expression';
+import { getMessage, localizeNumber, normalizeNumberInput } from '@utils/i18n';
+import Input from './Input';
+import Select from './Select';
+import Button from './Button';
+
+function AllUnits({
+  bases = {},
+  format = {},
+  autoFocus = true,
+  onCopy = () => { }
+}) {
+  const [text, setText] = useState('');
+  // Unit of a number typed without unit, e.g. "24"
+  const [unitKey, setUnitKey] = useState('PX');
+
+  // Evaluated on every render, so that the list follows the base values
+  let px = null;
+  let error = '';
+
+  try {
+    const value = evaluateExpression(normalizeNumberInput(text), unitKey, bases);
+    px = value === null ? null : UNITS[unitKey].toPx(value, bases);
+  } catch (e) {
+    if (!(e instanceof ExpressionError)) throw e;
+    error = e.message;
+  }
+
+  const outputs = px === null ? [] : unitOptions.map(option => {
+    const value = UNITS[option.value].fromPx(px, bases);
+
+    return {
+      ...option,
+      value,
+      unitKey: option.value,
+      // A base value set to 0 makes some units meaningless
+      valid: Number.isFinite(value),
+    };
+  });
+
+  return (
+    <div className='all-units__container'>
+      <div className='all-units__fields'>
+        <Input
+          id='allUnitsValue'
+          type='text'
+          label={getMessage('allUnitsValue')}
+          value={text}
+          onChange={(event) => setText(event.target.value)}
+          placeholder={getMessage('allUnitsPlaceholder')}
+          error={error}
+          autoFocus={autoFocus}
+        />
+        <Select
+          id='allUnitsUnit'
+          label={getMessage('allUnitsDefaultUnit')}
+          value={unitKey}
+          onChange={(option) => setUnitKey(option.value)}
+          options={unitOptions}
+        />
+      </div>
+
+      {outputs.length === 0 ? (
+        <p className='all-units__empty'>{getMessage('allUnitsEmpty')}</p>
+      ) : (
+        <ul className='all-units__list'>
+          {outputs.map(output => (
+            <li key={output.unitKey} className='all-units__item'>
+              <span className='all-units__unit'>{output.label}</span>
+              <span className='all-units__value'>
+                {output.valid
+                  ? localizeNumber(formatValue(output.value, output.unitKey, format, bases))
+                  : '—'}
+              </span>
+              <Button
+                onClick={() => onCopy(formatCopy(output.value, output.unitKey, format, bases))}
+                icon={<Copy size={16} />}
+                label={getMessage('copyValue', [output.label])}
+                disabled={!output.valid}
+              />
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default AllUnits;
@@ -1,25 +1,51 @@
+import { getMessage, formatLocaleNumber } from '@utils/i18n';
+
 function BaseUnits({
+  profileName = '',
   baseRem = '0',
   baseEm = '0',
   containerWidth = '0',
   baseUnit = '0',
+  viewportWidth = '0',
+  viewportHeight = '0',
+  dpi = '96',
+  highlighted = [],
 }) {
+  const format = (value) => formatLocaleNumber(Number(value));
+
+  // Emphasize the base values used by the current conversion
+  function labelClass(...keys) {
+    const active = keys.some(key => highlighted.includes(key));
+    return `base-units__label ${active ? 'base-units__label--active' : ''}`;
+  }
+
   return (
     <div className='base-units__container'>
       <h4 className='base-units__title'>
-        {'Current base values in use:'}
+        {getMessage('baseUnitsTitle')}
       </h4>
-      <p className='base-units__label'>
-        1rem = <span>{baseRem}px</span>
+      {profileName ? (
+        <p className='base-units__label base-units__profile'>
+          {getMessage('baseUnitsProfile')} <span>{profileName}</span>
+        </p>
+      ) : null}
+      <p className={labelClass('baseRem')}>
+        1rem = <span>{format(baseRem)}px</span>
+      </p>
+      <p className={labelClass('baseEm')}>
+        1em = <span>{format(baseEm)}px</span>
+      </p>
+      <p className={labelClass('containerWidth')}>
+        {getMessage('baseUnitsContainer')} = <span>{format(containerWidth)}px</span> {getMessage('baseUnitsForPct')}
       </p>
-      <p className='base-units__label'>
-        1em = <span>{baseEm}px</span>
+      <p className={labelClass('baseUnit')}>
+        {getMessage('baseUnitsBaseUnit')} = <span>{format(baseUnit)}</span> {getMessage('baseUnitsForBase')}
       </p>
-      <p className='base-units__label'>
-        Container Width = <span>{containerWidth}px</span> (for PX ↔ %)
+      <p className={labelClass('viewportWidth', 'viewportHeight')}>
+        {getMessage('baseUnitsViewport')} = <span>{format(viewportWidth)}×{format(viewportHeight)}px</span> {getMessage('baseUnitsForViewport')}
       </p>
-      <p className='base-units__label'>
-        Base Unit = <span>{baseUnit}</span> (for Base ↔ PX)
+      <p className={labelClass('dpi')}>
+        1in = <span>{format(dpi)}px</span> {getMessage('baseUnitsForPhysical')}
       </p>
     </div>
   );
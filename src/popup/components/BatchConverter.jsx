@@ -0,0 +1,120 @@
+import { useMemo, useState } from 'react';
+import { Copy } from 'react-feather';
+import { unitOptions } from '@utils/units';
+import { getConversion, getConversionUnits } from '@utils/converters';
+import {
+  convertStylesheet,
+  diffLines,
+  isBatchConversion,
+  isCssUnit,
+  DEFAULT_EXCLUDE_RULES
+} from '@utils/stylesheet';
+import { getMessage } from '@utils/i18n';
+import Select from './Select';
+import Input from './Input';
+import Button from './Button';
+
+const cssUnitOptions = unitOptions.filter(option => isCssUnit(option.value));
+
+function BatchConverter({
+  conversion = 'PX_REM',
+  bases = {},
+  format = {},
+  onCopy = () => { }
+}) {
+  const [selectedConversion, setSelectedConversion] = useState(
+    isBatchConversion(conversion) ? conversion : 'PX_REM'
+  );
+  const [from, to] = getConversionUnits(selectedConversion);
+  const [source, setSource] = useState('');
+  const [include, setInclude] = useState('');
+  const [exclude, setExclude] = useState(DEFAULT_EXCLUDE_RULES);
+
+  const { output, count } = useMemo(() => convertStylesheet(source, {
+    conversion: selectedConversion,
+    bases,
+    format,
+    include,
+    exclude
+  }), [source, selectedConversion, bases, format, include, exclude]);
+
+  const lines = useMemo(() => diffLines(source, output), [source, output]);
+
+  return (
+    <div className='batch__container'>
+      <div className='batch__units'>
+        <Select
+          id='batchFrom'
+          label={getMessage('from')}
+          value={from}
+          onChange={(option) => setSelectedConversion(getConversion(option.value, to))}
+          options={cssUnitOptions}
+        />
+        <Select
+          id='batchTo'
+          label={getMessage('to')}
+          value={to}
+          onChange={(option) => setSelectedConversion(getConversion(from, option.value))}
+          options={cssUnitOptions}
+        />
+      </div>
+
+      <textarea
+        className='batch__source'
+        value={source}
+        onChange={(event) => setSource(event.target.value)}
+        placeholder={getMessage('batchSource')}
+        spellCheck={false}
+        rows={8}
+      />
+
+      <div className='batch__rules'>
+        <Input
+          id='batchInclude'
+          type='text'
+          label={getMessage('batchInclude')}
+          value={include}
+          onChange={(event) => setInclude(event.target.value)}
+          placeholder={getMessage('batchIncludeAll')}
+        />
+        <Input
+          id='batchExclude'
+          type='text'
+          label={getMessage('batchExclude')}
+          value={exclude}
+          onChange={(event) => setExclude(event.target.value)}
+          placeholder={getMessage('batchExcludeNone')}
+        />
+      </div>
+
+      {source ? (
+        <>
+          <div className='batch__summary'>
+            <p>
+              <span>{count}</span> {getMessage(count === 1 ? 'batchConvertedOne' : 'batchConvertedOther')}
+            </p>
+            <Button
+              onClick={() => onCopy(output)}
+              icon={<Copy size={20} />}
+              label={getMessage('copyStylesheet')}
+            />
+          </div>
+
+          <div className='batch__diff'>
+            {lines.map((line, index) => (
+              <div
+                key={index}
+                className={`batch__line ${line.changed ? 'batch__line--changed' : ''}`}
+              >
+                <pre className='batch__original'>{line.original}</pre>
+                <pre className='batch__converted'>{line.converted}</pre>
+              </div>
+            ))}
+          </div>
+        </>
+      ) : null}
+    </div>
+  );
+}
+
+export default BatchConverter;
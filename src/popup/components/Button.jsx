@@ -2,15 +2,28 @@ import React from 'react';
 
 function Button({
   onClick = () => { },
-  icon = undefined
+  icon = undefined,
+  label = '',
+  pressed = undefined,
+  disabled = false
 }) {
   return (
     <div className='button__container'>
-      <button className='button__button' onClick={onClick}>
-        {icon !== undefined ? icon : undefined}
+      <button
+        type='button'
+        className='button__button'
+        onClick={onClick}
+        disabled={disabled}
+        aria-label={label || undefined}
+        aria-pressed={pressed}
+        title={label || undefined}
+      >
+        {icon !== undefined ? (
+          <span className='button__icon' aria-hidden='true'>{icon}</span>
+        ) : undefined}
       </button>
     </div>
   );
 }
 
-export default Button;
\ No newline at end of file
+export default Button;
@@ -0,0 +1,78 @@
+import { useEffect, useState } from 'react';
+import { getActiveProfile } from '@utils/profiles';
+import { getInspectionRows, convertMetricWithBases } from '@utils/inspection';
+import { isDevtoolsPage, measureSelectedElement, watchSelection } from '@utils/devtools';
+import { getMessage, formatLocaleNumber } from '@utils/i18n';
+import useSettings from '../modules/useSettings';
+import MetricsTable from './MetricsTable';
+
+function ElementsPane() {
+  // Converted with the active profile, updated when it changes in the popup
+  const { settings } = useSettings();
+  const activeProfile = getActiveProfile(settings);
+  const { baseRem, baseEm, containerWidth, baseUnit } = activeProfile.baseValues;
+
+  const [inspection, setInspection] = useState(null);
+  const [error, setError] = useState(isDevtoolsPage() ? '' : getMessage('devtoolsOnly'));
+
+  useEffect(() => {
+    if (!isDevtoolsPage()) return undefined;
+
+    let active = true;
+
+    function refresh() {
+      measureSelectedElement()
+        .then(measured => {
+          if (!active) return;
+          setInspection(measured);
+          setError('');
+        })
+        .catch(e => {
+          if (!active) return;
+          setInspection(null);
+          setError(e.message);
+        });
+    }
+
+    refresh();
+    const unsubscribe = watchSelection(refresh);
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  return (
+    <div className='elements-pane__container'>
+      {error ? (
+        <p className='elements-pane__message'>{error}</p>
+      ) : null}
+
+      {!error && !inspection ? (
+        <p className='elements-pane__message'>{getMessage('devtoolsNoSelection')}</p>
+      ) : null}
+
+      {inspection ? (
+        <>
+          <p className='elements-pane__selector'>
+            <span>{inspection.selector}</span>
+          </p>
+          <p className='elements-pane__bases'>
+            {activeProfile.name || getMessage('untitled')}
+            {`: 1rem = ${formatLocaleNumber(baseRem)}px, 1em = ${formatLocaleNumber(baseEm)}px, `}
+            {`100% = ${formatLocaleNumber(containerWidth)}px, base = ${formatLocaleNumber(baseUnit)}px`}
+          </p>
+          <MetricsTable
+            rows={getInspectionRows(inspection).map(row => ({
+              label: row.label,
+              values: convertMetricWithBases(row.px, activeProfile.baseValues),
+            }))}
+          />
+        </>
+      ) : null}
+    </div>
+  );
+}
+
+export default ElementsPane;
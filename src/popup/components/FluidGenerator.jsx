@@ -0,0 +1,163 @@
+import { useMemo, useState } from 'react';
+import { Copy, AlertTriangle } from 'react-feather';
+import {
+  computeFluidSize,
+  fluidSizeAt,
+  checkTextResize,
+  PREVIEW_WIDTHS
+} from '@utils/fluid';
+import { getMessage, formatLocaleNumber, localizeNumber, normalizeNumberInput } from '@utils/i18n';
+import Input from './Input';
+import Button from './Button';
+import ToggleGroup from './ToggleGroup';
+
+const unitOptions = [
+  { value: 'px', label: 'px' },
+  { value: 'rem', label: 'rem' },
+];
+
+const FIELDS = [
+  { key: 'minSize', label: getMessage('fluidMinSize'), group: 'size' },
+  { key: 'maxSize', label: getMessage('fluidMaxSize'), group: 'size' },
+  { key: 'minViewport', label: getMessage('fluidMinViewport'), group: 'viewport' },
+  { key: 'maxViewport', label: getMessage('fluidMaxViewport'), group: 'viewport' },
+];
+
+function formatNumber(value) {
+  return parseFloat(value.toFixed(3));
+}
+
+function FluidGenerator({
+  baseRem = 16,
+  onCopy = () => { }
+}) {
+  const [values, setValues] = useState({
+    minSize: '16',
+    maxSize: '24',
+    minViewport: '320',
+    maxViewport: '1280'
+  });
+  const [units, setUnits] = useState({ size: 'px', viewport: 'px' });
+
+  const { fluid, error } = useMemo(() => {
+    // Every value is handled in px
+    const toPx = (key, group) => {
+      const value = parseFloat(normalizeNumberInput(String(values[key])));
+      return units[group] === 'rem' ? value * baseRem : value;
+    };
+
+    try {
+      return {
+        fluid: computeFluidSize(FIELDS.reduce((px, field) => {
+          px[field.key] = toPx(field.key, field.group);
+          return px;
+        }, {}), baseRem),
+        error: ''
+      };
+    } catch (e) {
+      return { fluid: null, error: e.message };
+    }
+  }, [values, units, baseRem]);
+
+  const resize = fluid ? checkTextResize(fluid) : null;
+
+  function handleUnitChange(group, unit) {
+    if (unit === units[group]) return;
+
+    // Keep the same lengths, expressed in the new unit
+    const factor = unit === 'rem' ? 1 / baseRem : baseRem;
+    setValues(previous => FIELDS.reduce((next, field) => {
+      const value = parseFloat(normalizeNumberInput(String(previous[field.key])));
+      next[field.key] = field.group === group && !isNaN(value)
+        ? localizeNumber(String(formatNumber(value * factor)))
+        : previous[field.key];
+      return next;
+    }, {}));
+    setUnits(previous => ({ ...previous, [group]: unit }));
+  }
+
+  return (
+    <div className='fluid__container'>
+      <div className='fluid__units'>
+        <p className='fluid__units-label'>{getMessage('fluidSizesIn')}</p>
+        <ToggleGroup
+          id='fluidSizeUnit'
+          label={getMessage('fluidSizesUnit')}
+          value={units.size}
+          onChange={(option) => handleUnitChange('size', option.value)}
+          options={unitOptions}
+        />
+        <p className='fluid__units-label'>{getMessage('fluidViewportsIn')}</p>
+        <ToggleGroup
+          id='fluidViewportUnit'
+          label={getMessage('fluidViewportsUnit')}
+          value={units.viewport}
+          onChange={(option) => handleUnitChange('viewport', option.value)}
+          options={unitOptions}
+        />
+      </div>
+
+      <div className='fluid__fields'>
+        {FIELDS.map(field => (
+          <Input
+            key={field.key}
+            id={field.key}
+            type='text'
+            label={`${field.label} (${units[field.group]})`}
+            value={values[field.key]}
+            onChange={(event) => setValues(previous => ({ ...previous, [field.key]: event.target.value }))}
+          />
+        ))}
+      </div>
+
+      {error ? (
+        <p className='fluid__error'>{error}</p>
+      ) : null}
+
+      {fluid ? (
+        <>
+          <div className='fluid__result'>
+            <code>{fluid.expression}</code>
+            <Button
+              onClick={() => onCopy(fluid.expression)}
+              icon={<Copy size={20} />}
+              label={getMessage('copyClamp')}
+            />
+          </div>
+
+          {!resize.passes ? (
+            <p className='fluid__warning'>
+              <AlertTriangle size={16} />
+              {getMessage('fluidResizeWarning', [resize.failingWidth])}
+            </p>
+          ) : null}
+
+          <table className='fluid__table'>
+            <thead>
+              <tr>
+                <th>{getMessage('fluidViewport')}</th>
+                <th>{'px'}</th>
+                <th>{'rem'}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {PREVIEW_WIDTHS.map(width => {
+                const size = fluidSizeAt(fluid, width);
+
+                return (
+                  <tr key={width}>
+                    <th>{width}px</th>
+                    <td>{formatLocaleNumber(size)}</td>
+                    <td>{formatLocaleNumber(size / baseRem)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </>
+      ) : null}
+    </div>
+  );
+}
+
+export default FluidGenerator;
@@ -0,0 +1,54 @@
+import { ROUNDING_MODES, MAX_DECIMALS } from '@utils/format';
+import { getMessage } from '@utils/i18n';
+import Input from './Input';
+import Select from './Select';
+
+function FormatSettings({
+  format = {},
+  onChange = () => { }
+}) {
+  function handleDecimalsChange(event) {
+    const decimals = parseInt(event.target.value, 10);
+    onChange({ decimals: Math.min(Math.max(decimals || 0, 0), MAX_DECIMALS) });
+  }
+
+  return (
+    <div className='format__container'>
+      <div className='format__fields'>
+        <Input
+          id='formatDecimals'
+          label={getMessage('formatDecimals')}
+          value={format.decimals}
+          onChange={handleDecimalsChange}
+          placeholder={'3'}
+        />
+        <Select
+          id='formatRounding'
+          label={getMessage('formatRounding')}
+          value={format.rounding}
+          onChange={(option) => onChange({ rounding: option.value })}
+          options={ROUNDING_MODES}
+        />
+      </div>
+
+      <label className='format__toggle'>
+        <input
+          type='checkbox'
+          checked={format.trimZeros}
+          onChange={(event) => onChange({ trimZeros: event.target.checked })}
+        />
+        {getMessage('formatTrimZeros')}
+      </label>
+      <label className='format__toggle'>
+        <input
+          type='checkbox'
+          checked={format.includeUnit}
+          onChange={(event) => onChange({ includeUnit: event.target.checked })}
+        />
+        {getMessage('formatShowUnit')}
+      </label>
+    </div>
+  );
+}
+
+export default FormatSettings;
@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import { Star, X, Trash2 } from 'react-feather';
+import { UNITS, getConversionUnits } from '@utils/converters';
+import { searchEntries, formatEntryOutput } from '@utils/history';
+import { getMessage, formatLocaleNumber, localizeNumber } from '@utils/i18n';
+import Input from './Input';
+import Button from './Button';
+
+function describeConversion(conversion) {
+  return getConversionUnits(conversion)
+    .map(key => (UNITS[key] ? UNITS[key].label : key))
+    .join(' → ');
+}
+
+function History({
+  entries = [],
+  format = {},
+  enabled = true,
+  onToggleEnabled = () => { },
+  onReuse = () => { },
+  onPin = () => { },
+  onRemove = () => { },
+  onClear = () => { }
+}) {
+  const [query, setQuery] = useState('');
+  const results = searchEntries(entries, query, format);
+
+  return (
+    <div className='history__container'>
+      <div className='history__toolbar'>
+        <Input
+          id='historySearch'
+          type='text'
+          value={query}
+          onChange={(event) => setQuery(event.target.value)}
+          placeholder={getMessage('historySearch')}
+          ariaLabel={getMessage('historySearchLabel')}
+        />
+        <Button
+          onClick={onClear}
+          icon={<Trash2 size={20} />}
+          label={getMessage('historyClear')}
+        />
+      </div>
+
+      <label className='history__toggle'>
+        <input
+          type='checkbox'
+          checked={enabled}
+          onChange={(event) => onToggleEnabled(event.target.checked)}
+        />
+        {getMessage('historyEnabled')}
+      </label>
+
+      {results.length === 0 ? (
+        <p className='history__empty'>
+          {getMessage(entries.length === 0 ? 'historyEmpty' : 'historyNoMatch')}
+        </p>
+      ) : (
+        <ul className='history__list'>
+          {results.map(entry => (
+            <li
+              key={entry.id}
+              className={`history__entry ${entry.pinned ? 'history__entry--pinned' : ''}`}
+            >
+              <button
+                type='button'
+                className='history__reuse'
+                onClick={() => onReuse(entry)}
+              >
+                <span className='history__values'>
+                  {entry.input} → <span>{localizeNumber(formatEntryOutput(entry, format))}</span>
+                </span>
+                <span className='history__meta'>
+                  {describeConversion(entry.conversion)}
+                  {entry.baseValues ? ` · 1rem = ${formatLocaleNumber(entry.baseValues.baseRem)}px` : ''}
+                </span>
+              </button>
+              <Button
+                onClick={() => onPin(entry.id)}
+                icon={<Star size={16} />}
+                label={getMessage('historyPin')}
+                pressed={entry.pinned}
+              />
+              <Button
+                onClick={() => onRemove(entry.id)}
+                icon={<X size={16} />}
+                label={getMessage('historyRemove')}
+              />
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default History;
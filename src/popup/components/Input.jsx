@@ -3,28 +3,43 @@ import React from 'react';
 function Input({
   id = '',
   label = '',
+  ariaLabel = '',
   value = '',
   onChange = () => { },
+  onKeyDown = undefined,
   placeholder = '',
-  convertion = false
+  convertion = false,
+  type = 'number',
+  error = '',
+  autoFocus = false
 }) {
+  const errorId = `${id}-error`;
+
   return (
     <div className='input__container'>
       {label ? (
-        <label className='input__label'>{label}</label>
+        <label className='input__label' htmlFor={id}>{label}</label>
       ) : null}
       <input
         name={id}
         id={id}
         value={value}
         onChange={onChange}
-        className={`input__field ${convertion ? 'input__field--convertion' : ''}`}
+        onKeyDown={onKeyDown}
+        className={`input__field ${convertion ? 'input__field--convertion' : ''} ${error ? 'input__field--error' : ''}`}
         placeholder={placeholder}
-        type='number'
-        inputMode="numeric"
+        type={type}
+        inputMode={type === 'number' ? 'numeric' : undefined}
+        aria-label={!label && ariaLabel ? ariaLabel : undefined}
+        aria-invalid={error ? true : undefined}
+        aria-describedby={error ? errorId : undefined}
+        autoFocus={autoFocus}
       />
+      {error ? (
+        <p id={errorId} className='input__error' role='alert'>{error}</p>
+      ) : null}
     </div>
   );
 }
 
-export default Input;
\ No newline at end of file
+export default Input;
@@ -0,0 +1,86 @@
+import { useEffect, useState } from 'react';
+import { Crosshair } from 'react-feather';
+import { MESSAGE_TYPES, startElementPicker } from '@utils/messaging';
+import { getMessage, formatLocaleNumber } from '@utils/i18n';
+import {
+  loadInspection,
+  getInspectionRows,
+  convertMetric
+} from '@utils/inspection';
+import MetricsTable from './MetricsTable';
+
+function Inspector({
+  baseValues = {}
+}) {
+  const [inspection, setInspection] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let active = true;
+
+    loadInspection().then(stored => {
+      if (active && stored) setInspection(stored);
+    });
+
+    // Results picked while an extension page is still open
+    function handleMessage(message) {
+      if (message?.type === MESSAGE_TYPES.PICKER_RESULT) {
+        setInspection(message.inspection);
+      }
+    }
+
+    const canListen = typeof chrome !== 'undefined' && chrome.runtime?.onMessage;
+    if (canListen) chrome.runtime.onMessage.addListener(handleMessage);
+
+    return () => {
+      active = false;
+      if (canListen) chrome.runtime.onMessage.removeListener(handleMessage);
+    };
+  }, []);
+
+  async function handlePick() {
+    setError('');
+
+    try {
+      await startElementPicker();
+      // Let the user reach the page: the result is shown when the popup is reopened
+      window.close();
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  return (
+    <div className='inspector__container'>
+      <button
+        type='button'
+        className='inspector__pick'
+        onClick={handlePick}
+      >
+        <Crosshair size={16} />
+        {getMessage('pickElement')}
+      </button>
+
+      {error ? (
+        <p className='inspector__error'>{error}</p>
+      ) : null}
+
+      {inspection ? (
+        <>
+          <p className='inspector__selector'>
+            <span>{inspection.selector}</span>
+            {` (1rem = ${formatLocaleNumber(inspection.rootFontSize)}px, 1em = ${formatLocaleNumber(inspection.parentFontSize)}px)`}
+          </p>
+          <MetricsTable
+            rows={getInspectionRows(inspection).map(row => ({
+              label: row.label,
+              values: convertMetric(row.px, row.axis, inspection, baseValues),
+            }))}
+          />
+        </>
+      ) : null}
+    </div>
+  );
+}
+
+export default Inspector;
@@ -0,0 +1,44 @@
+import { useEffect, useState } from 'react';
+import { canPreviewMenu, isMenuPreviewEnabled, setMenuPreviewEnabled } from '@utils/menuPreview';
+import { getMessage } from '@utils/i18n';
+
+function MenuPreview() {
+  const [enabled, setEnabled] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (canPreviewMenu()) isMenuPreviewEnabled().then(setEnabled);
+  }, []);
+
+  if (enabled === null) return null;
+
+  function handleChange(event) {
+    const checked = event.target.checked;
+    setError('');
+
+    // The permission is asked from the change handler itself: it needs the user gesture.
+    // The service worker registers the selection script once it is granted.
+    setMenuPreviewEnabled(checked)
+      .then(changed => setEnabled(changed ? checked : !checked))
+      .catch(e => setError(e.message));
+  }
+
+  return (
+    <div className='menu-preview__container'>
+      <label className='menu-preview__toggle'>
+        <input
+          type='checkbox'
+          checked={enabled}
+          onChange={handleChange}
+        />
+        {getMessage('menuPreviewToggle')}
+      </label>
+      <p className='menu-preview__hint'>{getMessage('menuPreviewHint')}</p>
+      {error ? (
+        <p className='menu-preview__error'>{error}</p>
+      ) : null}
+    </div>
+  );
+}
+
+export default MenuPreview;
@@ -0,0 +1,38 @@
+import { formatLocaleNumber } from '@utils/i18n';
+
+const UNITS = [
+  { key: 'px', label: 'px' },
+  { key: 'rem', label: 'rem' },
+  { key: 'em', label: 'em' },
+  { key: 'pct', label: '%' },
+  { key: 'base', label: 'base' },
+];
+
+function MetricsTable({
+  rows = []
+}) {
+  return (
+    <table className='metrics-table'>
+      <thead>
+        <tr>
+          <th />
+          {UNITS.map(unit => (
+            <th key={unit.key}>{unit.label}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row.label}>
+            <th>{row.label}</th>
+            {UNITS.map(unit => (
+              <td key={unit.key}>{formatLocaleNumber(row.values[unit.key])}</td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export default MetricsTable;
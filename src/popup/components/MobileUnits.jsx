@@ -0,0 +1,122 @@
+import { useState } from 'react';
+import { Copy } from 'react-feather';
+import {
+  MOBILE_TARGETS,
+  DEFAULT_FONT_SCALE,
+  getMobileUnit,
+  convertMobile,
+  evaluateMobileValue,
+  formatMobileCopy
+} from '@utils/mobile';
+import { formatPlainNumber } from '@utils/format';
+import { ExpressionError } from '@utils/expression';
+import { getMessage, localizeNumber, normalizeNumberInput } from '@utils/i18n';
+import Input from './Input';
+import Select from './Select';
+import Button from './Button';
+
+const sourceOptions = MOBILE_TARGETS.map(key => {
+  const unit = getMobileUnit(key);
+  return { value: key, label: `${unit.platform} ${unit.label}` };
+});
+
+function MobileUnits({
+  bases = {},
+  format = {},
+  autoFocus = true,
+  onCopy = () => { }
+}) {
+  const [text, setText] = useState('');
+  // Unit of a number typed without unit, e.g. "24"
+  const [unitKey, setUnitKey] = useState('PX');
+  const [fontScaleText, setFontScaleText] = useState(String(DEFAULT_FONT_SCALE));
+
+  const fontScale = parseFloat(normalizeNumberInput(fontScaleText));
+  const fontScaleError = fontScale > 0 ? '' : getMessage('errorFontScale');
+  const mobileBases = { ...bases, fontScale };
+
+  let px = null;
+  let error = '';
+
+  try {
+    px = evaluateMobileValue(normalizeNumberInput(text), unitKey, mobileBases);
+  } catch (e) {
+    if (!(e instanceof ExpressionError)) throw e;
+    error = e.message;
+  }
+
+  const rows = px === null ? [] : MOBILE_TARGETS.map(key => {
+    const value = convertMobile(px, 'PX', key, mobileBases);
+
+    return {
+      key,
+      ...getMobileUnit(key),
+      value,
+      // An invalid font scale makes sp meaningless
+      valid: Number.isFinite(value),
+    };
+  });
+
+  return (
+    <div className='mobile-units__container'>
+      <div className='mobile-units__fields'>
+        <Input
+          id='mobileValue'
+          type='text'
+          label={getMessage('mobileValue')}
+          value={text}
+          onChange={(event) => setText(event.target.value)}
+          placeholder={getMessage('mobilePlaceholder')}
+          error={error}
+          autoFocus={autoFocus}
+        />
+        <Select
+          id='mobileUnit'
+          label={getMessage('allUnitsDefaultUnit')}
+          value={unitKey}
+          onChange={(option) => setUnitKey(option.value)}
+          options={sourceOptions}
+        />
+        <Input
+          id='mobileFontScale'
+          type='text'
+          label={getMessage('mobileFontScale')}
+          value={fontScaleText}
+          onChange={(event) => setFontScaleText(event.target.value)}
+          placeholder={String(DEFAULT_FONT_SCALE)}
+          error={fontScaleError}
+        />
+      </div>
+
+      {rows.length === 0 ? (
+        <p className='mobile-units__empty'>{getMessage('mobileEmpty')}</p>
+      ) : (
+        <table className='mobile-units__table'>
+          <tbody>
+            {rows.map((row, index) => (
+              <tr key={row.key}>
+                <th className='mobile-units__platform'>
+                  {row.platform !== rows[index - 1]?.platform ? row.platform : ''}
+                </th>
+                <td className='mobile-units__unit'>{row.label}</td>
+                <td className='mobile-units__value'>
+                  {row.valid ? localizeNumber(formatPlainNumber(row.value, format)) : '—'}
+                </td>
+                <td>
+                  <Button
+                    onClick={() => onCopy(formatMobileCopy(row.value, row.key, format))}
+                    icon={<Copy size={16} />}
+                    label={getMessage('copyValue', [`${row.platform} ${row.label}`])}
+                    disabled={!row.valid}
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default MobileUnits;
@@ -0,0 +1,175 @@
+import { useState } from 'react';
+import { Download, Grid } from 'react-feather';
+import { auditActivePage } from '@utils/messaging';
+import {
+  summarize,
+  exportAuditJson,
+  exportAuditCsv,
+  getAuditFileName
+} from '@utils/audit';
+import { getMessage, formatLocaleNumber } from '@utils/i18n';
+import { downloadText } from '@utils/download';
+import Tabs from './Tabs';
+import TabPanel from './TabPanel';
+
+const sourceOptions = [
+  { value: 'declared', label: getMessage('auditDeclared') },
+  { value: 'rendered', label: getMessage('auditRendered') },
+];
+
+/**
+ * Returns the host of the audited page, for display.
+ * @param {string} url
+ * @returns {string}
+ */
+function getHost(url) {
+  try {
+    return new URL(url).hostname || url;
+  } catch {
+    return url;
+  }
+}
+
+function PageAudit({
+  baseUnit = 8
+}) {
+  const [report, setReport] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState('');
+  const [source, setSource] = useState('declared');
+  const [issuesOnly, setIssuesOnly] = useState(false);
+
+  async function handleAudit() {
+    setError('');
+    setRunning(true);
+
+    try {
+      setReport(await auditActivePage(baseUnit));
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setRunning(false);
+    }
+  }
+
+  const groups = report ? report[source] : [];
+  const summary = summarize(groups);
+  // Every rendered value is in px: only the grid tells them apart
+  const visibleGroups = issuesOnly
+    ? groups.filter(group => group.onGrid === false || (source === 'declared' && group.unit === 'px'))
+    : groups;
+
+  return (
+    <div className='page-audit__container'>
+      <p className='page-audit__intro'>
+        {getMessage('auditIntro', [formatLocaleNumber(baseUnit)])}
+      </p>
+
+      <button
+        type='button'
+        className='page-audit__button page-audit__button--primary'
+        onClick={handleAudit}
+        disabled={running}
+      >
+        <Grid size={16} />
+        {getMessage(running ? 'auditRunning' : 'auditRun')}
+      </button>
+
+      {error ? (
+        <p className='page-audit__error'>{error}</p>
+      ) : null}
+
+      {report ? (
+        <>
+          <p className='page-audit__scope'>
+            {getMessage('auditScope', [
+              formatLocaleNumber(report.elements.count),
+              formatLocaleNumber(report.stylesheets.read),
+              getHost(report.url),
+            ])}
+          </p>
+          {report.stylesheets.skipped > 0 && (
+            <p className='page-audit__warning'>
+              {getMessage('auditSkipped', [formatLocaleNumber(report.stylesheets.skipped)])}
+            </p>
+          )}
+          {report.elements.truncated && (
+            <p className='page-audit__warning'>
+              {getMessage('auditTruncated', [formatLocaleNumber(report.elements.count)])}
+            </p>
+          )}
+
+          <Tabs
+            id='auditSource'
+            label={getMessage('auditSource')}
+            value={source}
+            onChange={(option) => setSource(option.value)}
+            options={sourceOptions}
+          />
+
+          <TabPanel tabsId='auditSource' value={source} className='page-audit__panel'>
+            <p className='page-audit__summary'>
+              {getMessage('auditSummary', [
+                summary.total,
+                summary.px,
+                summary.rem,
+                summary.em,
+                summary.offGrid,
+              ].map(count => formatLocaleNumber(count)))}
+            </p>
+
+            <label className='page-audit__filter'>
+              <input
+                type='checkbox'
+                checked={issuesOnly}
+                onChange={(event) => setIssuesOnly(event.target.checked)}
+              />
+              {getMessage('auditIssuesOnly')}
+            </label>
+
+            {visibleGroups.length === 0 ? (
+              <p className='page-audit__empty'>{getMessage('auditEmpty')}</p>
+            ) : (
+              <ul className='page-audit__list'>
+                {visibleGroups.map(group => (
+                  <li key={group.value} className='page-audit__item'>
+                    <div className='page-audit__value'>
+                      <span>{group.value}</span>
+                      {group.onGrid === false && (
+                        <span className='page-audit__badge'>{getMessage('auditOffGrid')}</span>
+                      )}
+                      <span className='page-audit__count'>×{formatLocaleNumber(group.count)}</span>
+                    </div>
+                    <p className='page-audit__properties'>{group.properties.join(', ')}</p>
+                    <p className='page-audit__examples'>{group.examples.join(', ')}</p>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </TabPanel>
+
+          <div className='page-audit__actions'>
+            <button
+              type='button'
+              className='page-audit__button'
+              onClick={() => downloadText(exportAuditJson(report), getAuditFileName(report, 'json'))}
+            >
+              <Download size={16} />
+              {getMessage('auditExportJson')}
+            </button>
+            <button
+              type='button'
+              className='page-audit__button'
+              onClick={() => downloadText(exportAuditCsv(report), getAuditFileName(report, 'csv'), 'text/csv')}
+            >
+              <Download size={16} />
+              {getMessage('auditExportCsv')}
+            </button>
+          </div>
+        </>
+      ) : null}
+    </div>
+  );
+}
+
+export default PageAudit;
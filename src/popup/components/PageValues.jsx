@@ -0,0 +1,81 @@
+import { useState } from 'react';
+import { Download } from 'react-feather';
+import { getPageMetrics } from '@utils/messaging';
+import { getMessage, formatLocaleNumber } from '@utils/i18n';
+
+function PageValues({
+  onApply = () => { }
+}) {
+  const [metrics, setMetrics] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  async function handleRead() {
+    setLoading(true);
+    setError('');
+
+    try {
+      setMetrics(await getPageMetrics());
+    } catch (e) {
+      setMetrics(null);
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className='page-values__container'>
+      <button
+        type='button'
+        className='page-values__read'
+        onClick={handleRead}
+        disabled={loading}
+      >
+        <Download size={16} />
+        {getMessage('readPageValues')}
+      </button>
+
+      {error ? (
+        <p className='page-values__error'>{error}</p>
+      ) : null}
+
+      {metrics ? (
+        <ul className='page-values__list'>
+          <li className='page-values__item'>
+            {getMessage('pageRootFontSize')} = <span>{formatLocaleNumber(metrics.rootFontSize)}px</span>
+            <button
+              type='button'
+              className='page-values__apply'
+              onClick={() => onApply({ baseRem: metrics.rootFontSize })}
+            >
+              {getMessage('useAsRem')}
+            </button>
+          </li>
+          <li className='page-values__item'>
+            {getMessage('pageViewportWidth')} = <span>{formatLocaleNumber(metrics.viewportWidth)}px</span>
+            <button
+              type='button'
+              className='page-values__apply'
+              onClick={() => onApply({ containerWidth: metrics.viewportWidth })}
+            >
+              {getMessage('useAsContainer')}
+            </button>
+          </li>
+          <li className='page-values__item'>
+            {getMessage('pageBodyWidth')} = <span>{formatLocaleNumber(metrics.bodyWidth)}px</span>
+            <button
+              type='button'
+              className='page-values__apply'
+              onClick={() => onApply({ containerWidth: metrics.bodyWidth })}
+            >
+              {getMessage('useAsContainer')}
+            </button>
+          </li>
+        </ul>
+      ) : null}
+    </div>
+  );
+}
+
+export default PageValues;
@@ -0,0 +1,63 @@
+import { Plus, Copy, Trash2 } from 'react-feather';
+import { getMessage } from '@utils/i18n';
+import Select from './Select';
+import Input from './Input';
+import Button from './Button';
+
+function Profiles({
+  profiles = [],
+  activeProfileId = '',
+  onSelect = () => { },
+  onCreate = () => { },
+  onDuplicate = () => { },
+  onRename = () => { },
+  onDelete = () => { }
+}) {
+  const activeProfile = profiles.find(profile => profile.id === activeProfileId);
+  const options = profiles.map(profile => ({
+    value: profile.id,
+    label: profile.name || getMessage('untitled')
+  }));
+
+  return (
+    <div className='profiles__container'>
+      <div className='profiles__row'>
+        <Select
+          id='profile'
+          value={activeProfileId}
+          onChange={(option) => onSelect(option.value)}
+          options={options}
+        />
+        <div className='profiles__actions'>
+          <Button
+            onClick={onCreate}
+            icon={<Plus size={20} />}
+            label={getMessage('newProfile')}
+          />
+          <Button
+            onClick={() => onDuplicate(activeProfileId)}
+            icon={<Copy size={20} />}
+            label={getMessage('duplicateProfile')}
+          />
+          {profiles.length > 1 && (
+            <Button
+              onClick={() => onDelete(activeProfileId)}
+              icon={<Trash2 size={20} />}
+              label={getMessage('deleteProfile')}
+            />
+          )}
+        </div>
+      </div>
+      <Input
+        id='profileName'
+        type='text'
+        label={getMessage('profileName')}
+        value={activeProfile ? activeProfile.name : ''}
+        onChange={(event) => onRename(activeProfileId, event.target.value)}
+        placeholder={getMessage('untitled')}
+      />
+    </div>
+  );
+}
+
+export default Profiles;
@@ -0,0 +1,191 @@
+import { useMemo, useState } from 'react';
+import { Copy } from 'react-feather';
+import {
+  RATIOS,
+  DEFAULT_SPACING_MULTIPLIERS,
+  EXPORT_FORMATS,
+  buildTypeScale,
+  buildSpacingScale,
+  parseMultipliers,
+  exportScale
+} from '@utils/scales';
+import { getMessage, formatLocaleNumber, localizeNumber, normalizeNumberInput } from '@utils/i18n';
+import Input from './Input';
+import Select from './Select';
+import Button from './Button';
+import ToggleGroup from './ToggleGroup';
+
+const kindOptions = [
+  { value: 'type', label: getMessage('scaleType') },
+  { value: 'spacing', label: getMessage('scaleSpacing') },
+];
+
+const ratioOptions = [
+  ...RATIOS,
+  { value: 'custom', label: getMessage('scaleCustomRatio') },
+];
+
+const unitOptions = [
+  { value: 'rem', label: 'rem' },
+  { value: 'px', label: 'px' },
+];
+
+function toNumber(value, fallback = 0) {
+  const number = parseFloat(normalizeNumberInput(String(value)));
+  return Number.isFinite(number) ? number : fallback;
+}
+
+function ScaleBuilder({
+  baseRem = 16,
+  baseEm = 16,
+  baseUnit = 8,
+  onCopy = () => { }
+}) {
+  const [kind, setKind] = useState('type');
+  const [base, setBase] = useState(localizeNumber(String(baseRem)));
+  const [ratio, setRatio] = useState('1.25');
+  const [customRatio, setCustomRatio] = useState(localizeNumber('1.3'));
+  const [stepsUp, setStepsUp] = useState('5');
+  const [stepsDown, setStepsDown] = useState('2');
+  const [multipliers, setMultipliers] = useState(DEFAULT_SPACING_MULTIPLIERS.join(', '));
+  const [format, setFormat] = useState('css');
+  const [unit, setUnit] = useState('rem');
+
+  const scale = useMemo(() => {
+    if (kind === 'spacing') {
+      return buildSpacingScale(baseUnit, parseMultipliers(multipliers));
+    }
+
+    return buildTypeScale({
+      base: toNumber(base),
+      ratio: toNumber(ratio === 'custom' ? customRatio : ratio, 1),
+      // Keep the table readable
+      stepsUp: Math.min(Math.max(Math.round(toNumber(stepsUp)), 0), 12),
+      stepsDown: Math.min(Math.max(Math.round(toNumber(stepsDown)), 0), 12)
+    });
+  }, [kind, base, ratio, customRatio, stepsUp, stepsDown, baseUnit, multipliers]);
+
+  const code = exportScale(scale, { kind, format, unit, baseRem });
+
+  return (
+    <div className='scale__container'>
+      <ToggleGroup
+        id='scaleKind'
+        label={getMessage('scaleKind')}
+        value={kind}
+        onChange={(option) => setKind(option.value)}
+        options={kindOptions}
+      />
+
+      {kind === 'type' ? (
+        <div className='scale__fields'>
+          <Input
+            id='scaleBase'
+            type='text'
+            label={getMessage('scaleBase')}
+            value={base}
+            onChange={(event) => setBase(event.target.value)}
+            placeholder={localizeNumber(String(baseRem))}
+          />
+          <div className='scale__ratio'>
+            <Select
+              id='scaleRatio'
+              label={getMessage('scaleRatio')}
+              value={ratio}
+              onChange={(option) => setRatio(option.value)}
+              options={ratioOptions}
+            />
+          </div>
+          {ratio === 'custom' ? (
+            <Input
+              id='scaleCustomRatio'
+              type='text'
+              label={getMessage('scaleCustomRatio')}
+              value={customRatio}
+              onChange={(event) => setCustomRatio(event.target.value)}
+              placeholder={localizeNumber('1.3')}
+            />
+          ) : null}
+          <Input
+            id='scaleStepsUp'
+            label={getMessage('scaleStepsUp')}
+            value={stepsUp}
+            onChange={(event) => setStepsUp(event.target.value)}
+            placeholder={'5'}
+          />
+          <Input
+            id='scaleStepsDown'
+            label={getMessage('scaleStepsDown')}
+            value={stepsDown}
+            onChange={(event) => setStepsDown(event.target.value)}
+            placeholder={'2'}
+          />
+        </div>
+      ) : (
+        <div className='scale__fields'>
+          <p className='scale__caption'>
+            {getMessage('scaleMultiples')} (<span>{formatLocaleNumber(baseUnit)}px</span>)
+          </p>
+          <div className='scale__multipliers'>
+            <Input
+              id='scaleMultipliers'
+              type='text'
+              label={getMessage('scaleMultipliers')}
+              value={multipliers}
+              onChange={(event) => setMultipliers(event.target.value)}
+              placeholder={DEFAULT_SPACING_MULTIPLIERS.join(', ')}
+            />
+          </div>
+        </div>
+      )}
+
+      <table className='scale__table'>
+        <thead>
+          <tr>
+            <th>{getMessage(kind === 'type' ? 'scaleStep' : 'scaleSpace')}</th>
+            <th>{'px'}</th>
+            <th>{'rem'}</th>
+            <th>{'em'}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {scale.map(({ name, px }) => (
+            <tr key={name}>
+              <th>{kind === 'type' ? name : `${name}x`}</th>
+              <td>{formatLocaleNumber(px)}</td>
+              <td>{formatLocaleNumber(px / baseRem)}</td>
+              <td>{formatLocaleNumber(px / baseEm)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className='scale__export'>
+        <ToggleGroup
+          id='scaleFormat'
+          label={getMessage('scaleExportFormat')}
+          value={format}
+          onChange={(option) => setFormat(option.value)}
+          options={EXPORT_FORMATS}
+        />
+        <ToggleGroup
+          id='scaleUnit'
+          label={getMessage('scaleExportUnit')}
+          value={unit}
+          onChange={(option) => setUnit(option.value)}
+          options={unitOptions}
+        />
+        <div className='scale__code'>
+          <pre>{code}</pre>
+          <Button
+            onClick={() => onCopy(code)}
+            icon={<Copy size={20} />}
+            label={getMessage('copyCode')}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ScaleBuilder;
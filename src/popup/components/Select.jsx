@@ -1,6 +1,13 @@
-import { useEffect, useState } from "react";
+import { useEffect, useId, useRef, useState } from "react";
 import { ChevronDown } from "react-feather";
 
+// Time window in which typed characters are joined for the typeahead
+const TYPEAHEAD_DELAY = 500;
+
+/**
+ * Select-only combobox: the toggle keeps the focus and points to the
+ * highlighted option with `aria-activedescendant`.
+ */
 function Select({
   id = '',
   label = '',
@@ -9,37 +16,153 @@ function Select({
   value = ''
 }) {
   const [isOpen, setIsOpen] = useState(false);
-  const [selected, setSelected] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  const containerRef = useRef(null);
+  const menuRef = useRef(null);
+  const typeahead = useRef({ text: '', timeout: null });
+
+  const baseId = useId();
+  const labelId = `${baseId}-label`;
+  const menuId = `${baseId}-menu`;
+  const optionId = (index) => `${baseId}-option-${index}`;
+
+  const selectedIndex = options.findIndex((opt) => opt.value === value);
+  const selected = options[selectedIndex] || null;
+
+  // Close when clicking outside
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    function handlePointerDown(event) {
+      if (!containerRef.current.contains(event.target)) setIsOpen(false);
+    }
+
+    document.addEventListener('mousedown', handlePointerDown);
+    return () => document.removeEventListener('mousedown', handlePointerDown);
+  }, [isOpen]);
 
+  // Keep the highlighted option visible
   useEffect(() => {
-    const found = options.find((opt) => opt.value === value);
-    setSelected(found || null);
-  }, [value, options]);
+    if (!isOpen || activeIndex < 0) return;
+    menuRef.current?.children[activeIndex]?.scrollIntoView({ block: 'nearest' });
+  }, [isOpen, activeIndex]);
+
+  useEffect(() => () => clearTimeout(typeahead.current.timeout), []);
+
+  function open(index = selectedIndex) {
+    setActiveIndex(Math.max(index, 0));
+    setIsOpen(true);
+  }
 
   const handleSelect = (option) => {
     setIsOpen(false);
     onChange(option);
   };
 
+  /**
+   * Highlights the next option whose label starts with the typed text.
+   * @param {string} char
+   */
+  function handleTypeahead(char) {
+    const state = typeahead.current;
+    clearTimeout(state.timeout);
+    state.text += char.toLowerCase();
+    state.timeout = setTimeout(() => { state.text = ''; }, TYPEAHEAD_DELAY);
+
+    // Typing the same letter again cycles through the matching options
+    const start = state.text.length === 1 ? activeIndex + 1 : Math.max(activeIndex, 0);
+    const ordered = [...options.slice(start), ...options.slice(0, start)];
+    const match = ordered.find((opt) => String(opt.label).toLowerCase().startsWith(state.text));
+
+    if (match) open(options.indexOf(match));
+  }
+
+  function handleKeyDown(event) {
+    const last = options.length - 1;
+
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        if (!isOpen) open();
+        else setActiveIndex((index) => Math.min(index + 1, last));
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        if (!isOpen) open();
+        else setActiveIndex((index) => Math.max(index - 1, 0));
+        break;
+      case 'Home':
+        event.preventDefault();
+        open(0);
+        break;
+      case 'End':
+        event.preventDefault();
+        open(last);
+        break;
+      case 'Enter':
+      case ' ':
+        event.preventDefault();
+        if (isOpen && options[activeIndex]) handleSelect(options[activeIndex]);
+        else open();
+        break;
+      case 'Escape':
+        if (isOpen) {
+          // Don't close the popup itself
+          event.preventDefault();
+          event.stopPropagation();
+          setIsOpen(false);
+        }
+        break;
+      case 'Tab':
+        setIsOpen(false);
+        break;
+      default:
+        if (event.key.length === 1 && !event.ctrlKey && !event.metaKey && !event.altKey) {
+          handleTypeahead(event.key);
+        }
+        break;
+    }
+  }
+
   return (
-    <div id={id} className="select__container">
-      {label && <label className="select__label">{label}</label>}
+    <div id={id} className="select__container" ref={containerRef}>
+      {label && <label id={labelId} className="select__label">{label}</label>}
 
       <button
         type="button"
+        role="combobox"
+        aria-haspopup="listbox"
+        aria-expanded={isOpen}
+        aria-controls={menuId}
+        aria-labelledby={label ? labelId : undefined}
+        aria-activedescendant={isOpen && activeIndex >= 0 ? optionId(activeIndex) : undefined}
         className={`select__toggle ${isOpen ? 'open' : ''}`}
-        onClick={() => setIsOpen(!isOpen)}
+        onClick={() => (isOpen ? setIsOpen(false) : open())}
+        onKeyDown={handleKeyDown}
       >
         {selected ? selected.label : "—"}
-        <ChevronDown size={32} />
+        <ChevronDown size={32} aria-hidden="true" />
       </button>
 
       {isOpen && (
-        <ul className="select__menu">
-          {options.map((option) => (
+        <ul
+          id={menuId}
+          ref={menuRef}
+          role="listbox"
+          aria-labelledby={label ? labelId : undefined}
+          tabIndex={-1}
+          className="select__menu"
+        >
+          {options.map((option, index) => (
             <li
               key={option.value}
-              className={`select__option ${option.value === selected.value ? 'selected' : ''}`}
+              id={optionId(index)}
+              role="option"
+              aria-selected={option.value === value}
+              className={`select__option ${option.value === value ? 'selected' : ''} ${index === activeIndex ? 'active' : ''}`}
+              onMouseDown={(event) => event.preventDefault()}
+              onMouseEnter={() => setActiveIndex(index)}
               onClick={() => handleSelect(option)}
             >
               {option.label}
@@ -0,0 +1,158 @@
+import { useRef, useState } from 'react';
+import { Download, Upload } from 'react-feather';
+import {
+  exportSettings,
+  getSettingsFileName,
+  parseSettingsFile,
+  mergeSettings,
+  replaceSettings,
+  isCompleteSettings,
+  describeChanges,
+  SettingsFileError
+} from '@utils/settingsFile';
+import { getMessage } from '@utils/i18n';
+import { downloadText } from '@utils/download';
+
+function SettingsFile({
+  settings = {},
+  onApply = () => { },
+  onOpenImport = null
+}) {
+  // Validated settings of the file being imported, waiting for confirmation
+  const [imported, setImported] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+  const fileInput = useRef(null);
+
+  // A file with only some of the settings can't replace the others
+  const complete = imported ? isCompleteSettings(imported) : false;
+  const importMode = complete ? mode : 'merge';
+  const next = imported
+    ? (importMode === 'merge' ? mergeSettings(settings, imported) : replaceSettings(settings, imported))
+    : null;
+  const changes = next ? describeChanges(settings, next) : [];
+
+  // The popup closes when the file chooser opens: it imports from a tab instead
+  function handleImportClick() {
+    if (onOpenImport) onOpenImport();
+    else fileInput.current.click();
+  }
+
+  async function handleFileChange(event) {
+    const file = event.target.files[0];
+    // Allow importing the same file again
+    event.target.value = '';
+    if (!file) return;
+
+    setError('');
+    setStatus('');
+
+    try {
+      setImported(parseSettingsFile(await file.text()));
+    } catch (e) {
+      if (!(e instanceof SettingsFileError)) console.error(e);
+      setImported(null);
+      setError(e.message);
+    }
+  }
+
+  function handleApply() {
+    onApply(next);
+    setImported(null);
+    setStatus(getMessage('settingsImported'));
+  }
+
+  return (
+    <div className='settings-file__container'>
+      <div className='settings-file__actions'>
+        <button
+          type='button'
+          className='settings-file__button'
+          onClick={() => downloadText(exportSettings(settings), getSettingsFileName())}
+        >
+          <Download size={16} />
+          {getMessage('settingsExport')}
+        </button>
+        <button
+          type='button'
+          className='settings-file__button'
+          onClick={handleImportClick}
+        >
+          <Upload size={16} />
+          {getMessage('settingsImport')}
+        </button>
+        <input
+          ref={fileInput}
+          type='file'
+          accept='.json,application/json'
+          className='settings-file__file'
+          tabIndex={-1}
+          aria-hidden='true'
+          onChange={handleFileChange}
+        />
+      </div>
+
+      {error ? (
+        <p className='settings-file__error' role='alert'>{error}</p>
+      ) : null}
+
+      <p className='settings-file__status' role='status'>{status}</p>
+
+      {imported ? (
+        <div className='settings-file__preview'>
+          <fieldset className='settings-file__modes'>
+            <legend>{getMessage('settingsImportMode')}</legend>
+            {['merge', 'replace'].map(value => (
+              <label key={value} className='settings-file__mode'>
+                <input
+                  type='radio'
+                  name='settingsImportMode'
+                  value={value}
+                  checked={importMode === value}
+                  disabled={value === 'replace' && !complete}
+                  onChange={() => setMode(value)}
+                />
+                {getMessage(value === 'merge' ? 'settingsMerge' : 'settingsReplace')}
+              </label>
+            ))}
+            {!complete ? (
+              <p className='settings-file__note'>{getMessage('errorSettingsPartial')}</p>
+            ) : null}
+          </fieldset>
+
+          <p className='settings-file__title'>{getMessage('settingsPreview')}</p>
+          {changes.length > 0 ? (
+            <ul className='settings-file__changes'>
+              {changes.map(change => (
+                <li key={change}>{change}</li>
+              ))}
+            </ul>
+          ) : (
+            <p className='settings-file__empty'>{getMessage('settingsNoChanges')}</p>
+          )}
+
+          <div className='settings-file__actions'>
+            <button
+              type='button'
+              className='settings-file__button settings-file__button--primary'
+              onClick={handleApply}
+              disabled={changes.length === 0}
+            >
+              {getMessage('settingsApply')}
+            </button>
+            <button
+              type='button'
+              className='settings-file__button'
+              onClick={() => setImported(null)}
+            >
+              {getMessage('settingsCancel')}
+            </button>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+export default SettingsFile;
@@ -0,0 +1,41 @@
+import { useEffect, useState } from 'react';
+import { Sidebar } from 'react-feather';
+import { canOpenSidePanel, getCurrentWindowId, openSidePanel } from '@utils/extensionPages';
+import { getMessage } from '@utils/i18n';
+import Button from './Button';
+
+function SidePanelButton() {
+  // Read beforehand: the side panel only opens from the click handler itself
+  const [windowId, setWindowId] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (canOpenSidePanel()) getCurrentWindowId().then(setWindowId);
+  }, []);
+
+  if (windowId === null) return null;
+
+  function handleClick() {
+    setError('');
+
+    // The popup is no longer needed once the side panel is open
+    openSidePanel(windowId)
+      .then(() => window.close())
+      .catch(e => setError(e.message));
+  }
+
+  return (
+    <div className='side-panel-button__container'>
+      <Button
+        onClick={handleClick}
+        icon={<Sidebar size={20} />}
+        label={getMessage('sidePanelOpen')}
+      />
+      {error ? (
+        <p className='side-panel-button__error'>{error}</p>
+      ) : null}
+    </div>
+  );
+}
+
+export default SidePanelButton;
@@ -0,0 +1,20 @@
+function TabPanel({
+  tabsId = '',
+  value = '',
+  className = '',
+  children = null
+}) {
+  // Labelled by the selected tab, controlled by every tab of the list
+  return (
+    <div
+      id={`${tabsId}-panel`}
+      role='tabpanel'
+      aria-labelledby={`${tabsId}-${value}`}
+      className={className}
+    >
+      {children}
+    </div>
+  );
+}
+
+export default TabPanel;
@@ -0,0 +1,55 @@
+function Tabs({
+  id = '',
+  label = '',
+  options = [],
+  onChange = () => { },
+  value = ''
+}) {
+  /**
+   * Arrow keys move to the previous or next tab (roving focus, only the active tab is tabbable).
+   * @param {React.KeyboardEvent<HTMLButtonElement>} event
+   * @param {number} index - The index of the focused tab.
+   */
+  function handleKeyDown(event, index) {
+    const moves = {
+      ArrowLeft: index - 1,
+      ArrowRight: index + 1,
+      Home: 0,
+      End: options.length - 1,
+    };
+    if (!(event.key in moves)) return;
+
+    event.preventDefault();
+    const next = (moves[event.key] + options.length) % options.length;
+    onChange(options[next]);
+    event.currentTarget.parentElement.children[next].focus();
+  }
+
+  return (
+    <div
+      id={id}
+      role='tablist'
+      aria-label={label || undefined}
+      className='tabs__container'
+    >
+      {options.map((option, index) => (
+        <button
+          key={option.value}
+          type='button'
+          id={`${id}-${option.value}`}
+          role='tab'
+          aria-selected={option.value === value}
+          aria-controls={`${id}-panel`}
+          tabIndex={option.value === value ? 0 : -1}
+          className={`tabs__tab ${option.value === value ? 'active' : ''}`}
+          onClick={() => onChange(option)}
+          onKeyDown={(event) => handleKeyDown(event, index)}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default Tabs;
@@ -0,0 +1,36 @@
+function ToggleGroup({
+  id = '',
+  label = '',
+  options = [],
+  onChange = () => { },
+  value = ''
+}) {
+  // Native radios: arrow keys move the choice and the group is a single tab stop
+  return (
+    <div
+      id={id}
+      role='radiogroup'
+      aria-label={label || undefined}
+      className='toggle-group__container'
+    >
+      {options.map(option => (
+        <label
+          key={option.value}
+          className={`toggle-group__option ${option.value === value ? 'active' : ''}`}
+        >
+          <input
+            type='radio'
+            name={id}
+            value={option.value}
+            checked={option.value === value}
+            onChange={() => onChange(option)}
+            className='toggle-group__input'
+          />
+          {option.label}
+        </label>
+      ))}
+    </div>
+  );
+}
+
+export default ToggleGroup;
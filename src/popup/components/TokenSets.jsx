@@ -0,0 +1,123 @@
+import { useRef, useState } from 'react';
+import { Upload, Trash2 } from 'react-feather';
+import { parseTokenSet, TokensError } from '@utils/tokens';
+import { getMessage, formatLocaleNumber } from '@utils/i18n';
+import Select from './Select';
+import Button from './Button';
+
+// Base values a token set can provide, with their label
+const BASE_VALUE_LABELS = {
+  baseRem: () => '1rem',
+  baseUnit: () => getMessage('baseUnitsBaseUnit'),
+  containerWidth: () => getMessage('baseUnitsContainer'),
+};
+
+function TokenSets({
+  tokenSets = [],
+  activeTokenSetId = '',
+  onImport = () => { },
+  onSelect = () => { },
+  onRemove = () => { },
+  onApply = () => { },
+  onOpenImport = null
+}) {
+  const [error, setError] = useState('');
+  const fileInput = useRef(null);
+
+  const activeSet = tokenSets.find(set => set.id === activeTokenSetId);
+  const options = [
+    { value: '', label: getMessage('tokensNone') },
+    ...tokenSets.map(set => ({ value: set.id, label: set.name || getMessage('untitled') })),
+  ];
+
+  // The popup closes when the file chooser opens: it imports from a tab instead
+  function handleImportClick() {
+    if (onOpenImport) onOpenImport();
+    else fileInput.current.click();
+  }
+
+  async function handleFileChange(event) {
+    const file = event.target.files[0];
+    // Allow importing the same file again
+    event.target.value = '';
+    if (!file) return;
+
+    setError('');
+
+    try {
+      onImport(parseTokenSet(file.name.replace(/\.json$/i, ''), await file.text()));
+    } catch (e) {
+      if (!(e instanceof TokensError)) console.error(e);
+      setError(e.message);
+    }
+  }
+
+  return (
+    <div className='token-sets__container'>
+      <div className='token-sets__row'>
+        <Select
+          id='tokenSet'
+          label={getMessage('tokensSet')}
+          value={activeSet ? activeSet.id : ''}
+          onChange={(option) => onSelect(option.value)}
+          options={options}
+        />
+        {activeSet && (
+          <Button
+            onClick={() => onRemove(activeSet.id)}
+            icon={<Trash2 size={20} />}
+            label={getMessage('tokensRemove')}
+          />
+        )}
+      </div>
+
+      <button
+        type='button'
+        className='token-sets__import'
+        onClick={handleImportClick}
+      >
+        <Upload size={16} />
+        {getMessage('tokensImport')}
+      </button>
+      <input
+        ref={fileInput}
+        type='file'
+        accept='.json,application/json'
+        className='token-sets__file'
+        tabIndex={-1}
+        aria-hidden='true'
+        onChange={handleFileChange}
+      />
+
+      {error ? (
+        <p className='token-sets__error' role='alert'>{error}</p>
+      ) : null}
+
+      {activeSet ? (
+        <div className='token-sets__summary'>
+          <p>{getMessage('tokensCount', [activeSet.tokens.length])}</p>
+          {Object.keys(activeSet.baseValues).length > 0 && (
+            <>
+              <ul className='token-sets__list'>
+                {Object.entries(activeSet.baseValues).map(([key, value]) => (
+                  <li key={key}>
+                    {BASE_VALUE_LABELS[key] ? BASE_VALUE_LABELS[key]() : key} = <span>{formatLocaleNumber(value)}px</span>
+                  </li>
+                ))}
+              </ul>
+              <button
+                type='button'
+                className='token-sets__apply'
+                onClick={() => onApply(activeSet.baseValues)}
+              >
+                {getMessage('tokensApplyBaseValues')}
+              </button>
+            </>
+          )}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+export default TokenSets;
@@ -0,0 +1,166 @@
+import { useState } from 'react';
+import { Copy } from 'react-feather';
+import {
+  LINE_HEIGHT_UNITS,
+  LETTER_SPACING_UNITS,
+  getTypographyRows,
+  formatTypographyCopy
+} from '@utils/typography';
+import { formatPlainNumber } from '@utils/format';
+import { evaluateExpression, ExpressionError } from '@utils/expression';
+import { getMessage, localizeNumber, normalizeNumberInput } from '@utils/i18n';
+import Input from './Input';
+import Select from './Select';
+import Button from './Button';
+
+/**
+ * Builds the options of a unit select from a typography registry.
+ * @param {object} units - `LINE_HEIGHT_UNITS` or `LETTER_SPACING_UNITS`.
+ * @returns {Array<{value: string, label: string}>}
+ */
+function getOptions(units) {
+  return Object.entries(units).map(([value, unit]) => ({ value, label: unit.label }));
+}
+
+const lineHeightOptions = getOptions(LINE_HEIGHT_UNITS);
+const letterSpacingOptions = getOptions(LETTER_SPACING_UNITS);
+
+/**
+ * Reads a plain number typed with the decimal separator of the user's locale.
+ * @param {string} text
+ * @returns {{value: number|null, error: string}} A null value when the text is empty.
+ */
+function readNumber(text) {
+  if (!text.trim()) return { value: null, error: '' };
+
+  const value = Number(normalizeNumberInput(text.trim()));
+  return Number.isFinite(value)
+    ? { value, error: '' }
+    : { value: null, error: getMessage('errorNumber') };
+}
+
+function Typography({
+  bases = {},
+  format = {},
+  onCopy = () => { }
+}) {
+  const [fontSizeText, setFontSizeText] = useState('16');
+  const [lineHeightText, setLineHeightText] = useState('24');
+  const [lineHeightUnit, setLineHeightUnit] = useState('PX');
+  const [letterSpacingText, setLetterSpacingText] = useState('0');
+  const [letterSpacingUnit, setLetterSpacingUnit] = useState('FIGMA_PCT');
+
+  // The font size accepts CSS lengths, e.g. "1.125rem", read in px
+  let fontSize = null;
+  let fontSizeError = '';
+
+  try {
+    fontSize = evaluateExpression(normalizeNumberInput(fontSizeText), 'PX', bases);
+    if (fontSize !== null && !(fontSize > 0)) {
+      fontSize = null;
+      fontSizeError = getMessage('errorFontSize');
+    }
+  } catch (e) {
+    if (!(e instanceof ExpressionError)) throw e;
+    fontSizeError = e.message;
+  }
+
+  // Rem values use the base rem of the active profile
+  const context = { fontSize, baseRem: bases.baseRem };
+  const lineHeight = readNumber(lineHeightText);
+  const letterSpacing = readNumber(letterSpacingText);
+
+  const sections = [
+    {
+      key: 'lineHeight',
+      title: getMessage('typographyLineHeight'),
+      rows: fontSize !== null && lineHeight.value !== null
+        ? getTypographyRows(lineHeight.value, lineHeightUnit, LINE_HEIGHT_UNITS, context)
+        : [],
+    },
+    {
+      key: 'letterSpacing',
+      title: getMessage('typographyLetterSpacing'),
+      rows: fontSize !== null && letterSpacing.value !== null
+        ? getTypographyRows(letterSpacing.value, letterSpacingUnit, LETTER_SPACING_UNITS, context)
+        : [],
+    },
+  ];
+
+  return (
+    <div className='typography__container'>
+      <div className='typography__fields'>
+        <Input
+          id='typographyFontSize'
+          type='text'
+          label={getMessage('typographyFontSize')}
+          value={fontSizeText}
+          onChange={(event) => setFontSizeText(event.target.value)}
+          placeholder={getMessage('typographyFontSizePlaceholder')}
+          error={fontSizeError}
+          autoFocus
+        />
+        <Input
+          id='typographyLineHeight'
+          type='text'
+          label={getMessage('typographyLineHeight')}
+          value={lineHeightText}
+          onChange={(event) => setLineHeightText(event.target.value)}
+          placeholder={'24'}
+          error={lineHeight.error}
+        />
+        <Select
+          id='typographyLineHeightUnit'
+          label={getMessage('typographyUnit')}
+          value={lineHeightUnit}
+          onChange={(option) => setLineHeightUnit(option.value)}
+          options={lineHeightOptions}
+        />
+        <Input
+          id='typographyLetterSpacing'
+          type='text'
+          label={getMessage('typographyLetterSpacing')}
+          value={letterSpacingText}
+          onChange={(event) => setLetterSpacingText(event.target.value)}
+          placeholder={'0'}
+          error={letterSpacing.error}
+        />
+        <Select
+          id='typographyLetterSpacingUnit'
+          label={getMessage('typographyUnit')}
+          value={letterSpacingUnit}
+          onChange={(option) => setLetterSpacingUnit(option.value)}
+          options={letterSpacingOptions}
+        />
+      </div>
+
+      {sections.map(section => (
+        <div key={section.key} className='typography__section'>
+          <h4 className='typography__title'>{section.title}</h4>
+          {section.rows.length === 0 ? (
+            <p className='typography__empty'>{getMessage('typographyEmpty')}</p>
+          ) : (
+            <ul className='typography__list'>
+              {section.rows.map(row => (
+                <li key={row.key} className='typography__item'>
+                  <span className='typography__unit'>{row.label}</span>
+                  <span className='typography__value'>
+                    {row.valid ? localizeNumber(`${formatPlainNumber(row.value, format)}${row.suffix}`) : '—'}
+                  </span>
+                  <Button
+                    onClick={() => onCopy(formatTypographyCopy(row.value, row.suffix, format))}
+                    icon={<Copy size={16} />}
+                    label={getMessage('copyValue', [`${section.title} ${row.label}`])}
+                    disabled={!row.valid}
+                  />
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default Typography;
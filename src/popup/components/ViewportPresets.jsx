@@ -0,0 +1,33 @@
+import { viewportPresets, findViewportPreset } from '@utils/viewports';
+import { getMessage } from '@utils/i18n';
+import Select from './Select';
+
+const options = [
+  { value: 'custom', label: getMessage('viewportCustom') },
+  ...viewportPresets
+];
+
+function ViewportPresets({
+  width = 0,
+  height = 0,
+  onChange = () => { }
+}) {
+  const preset = findViewportPreset(width, height);
+
+  return (
+    <div className='viewport-presets__container'>
+      <Select
+        id='viewportPreset'
+        label={getMessage('viewportDevice')}
+        value={preset ? preset.value : 'custom'}
+        onChange={(option) => {
+          if (option.value === 'custom') return;
+          onChange({ viewportWidth: option.width, viewportHeight: option.height });
+        }}
+        options={options}
+      />
+    </div>
+  );
+}
+
+export default ViewportPresets;
@@ -2,6 +2,9 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './styles/main.scss'
 import App from './App.jsx'
+import { getLocale } from '@utils/i18n'
+
+document.documentElement.lang = getLocale()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
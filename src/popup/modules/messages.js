@@ -1,9 +0,0 @@
-const messages = {
-  title: 'Converto - コンヴェルト',
-  subtitle: 'Multi-Unit Converter',
-  customizationTitle: 'Custom base values',
-  customizationCaption: 'You can change the base values used in the conversions below.',
-  copied: 'Value copied',
-}
-
-export default messages;
\ No newline at end of file
@@ -0,0 +1,19 @@
+import { getMessage } from '@utils/i18n';
+
+// Popup modes, shown as tabs under the title
+export const modeOptions = [
+  { value: 'converter', label: getMessage('modeConverter') },
+  { value: 'all', label: getMessage('modeAll') },
+  { value: 'batch', label: getMessage('modeBatch') },
+  { value: 'fluid', label: getMessage('modeFluid') },
+  { value: 'scale', label: getMessage('modeScale') },
+  { value: 'typography', label: getMessage('modeTypography') },
+  { value: 'mobile', label: getMessage('modeMobile') },
+  { value: 'audit', label: getMessage('modeAudit') },
+  { value: 'history', label: getMessage('modeHistory') },
+];
+
+// Modes shown under the converter in the side panel, instead of as tabs
+export const SIDE_PANEL_SECTIONS = ['all', 'history'];
+
+export const sidePanelModeOptions = modeOptions.filter(option => !SIDE_PANEL_SECTIONS.includes(option.value));
@@ -0,0 +1,29 @@
+import { useEffect, useRef } from 'react';
+import { isPageOpen } from '@utils/extensionPages';
+
+/**
+ * React hook that runs the keyboard shortcuts of the manifest (see `@utils/commands`)
+ * while the popup or the side panel is open.
+ *
+ * @function useCommands
+ * @param {Object<string, function(): void>} handlers - The function to run, per command name.
+ * @param {boolean} yieldToPopup - Skip the shortcuts while the popup is open (side panel),
+ * so that a command isn't run twice.
+ */
+export default function useCommands(handlers, yieldToPopup = false) {
+  // Latest handlers, so that they see the current state without re-subscribing
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    if (typeof chrome === 'undefined' || !chrome.commands) return undefined;
+
+    async function handleCommand(command) {
+      if (yieldToPopup && await isPageOpen(['POPUP'])) return;
+      handlersRef.current[command]?.();
+    }
+
+    chrome.commands.onCommand.addListener(handleCommand);
+    return () => chrome.commands.onCommand.removeListener(handleCommand);
+  }, [yieldToPopup]);
+}
@@ -0,0 +1,102 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  addEntry,
+  buildEntry,
+  togglePin,
+  removeEntry,
+  clearEntries,
+  loadHistory,
+  saveHistory,
+  subscribeHistory
+} from '@utils/history';
+
+// Idle time before a conversion being typed is recorded
+const RECORD_DELAY = 1500;
+
+/**
+ * React hook that exposes the persisted conversion history.
+ *
+ * @function useHistory
+ * @param {boolean} enabled - Whether new conversions are recorded.
+ * @returns {{entries: Array, recordLater: function, flush: function, pin: function, remove: function, clear: function}}
+ */
+export default function useHistory(enabled = true) {
+  const [entries, setEntries] = useState([]);
+
+  // Latest list, for the callbacks fired after a delay
+  const entriesRef = useRef([]);
+  const pending = useRef(null);
+  const timeout = useRef(null);
+
+  useEffect(() => {
+    let active = true;
+
+    function apply(list) {
+      entriesRef.current = list;
+      setEntries(list);
+    }
+
+    loadHistory().then(stored => {
+      if (active) apply(stored);
+    });
+
+    const unsubscribe = subscribeHistory(apply);
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  const commit = useCallback(next => {
+    entriesRef.current = next;
+    setEntries(next);
+    saveHistory(next);
+  }, []);
+
+  /**
+   * Records a conversion right away.
+   * @param {{conversion: string, input: string, result: number, unitKey: string, baseValues: object}} conversion
+   */
+  const record = useCallback(conversion => {
+    clearTimeout(timeout.current);
+    pending.current = null;
+
+    if (!enabled || !conversion.input.trim() || !Number.isFinite(conversion.result)) return;
+    commit(addEntry(entriesRef.current, buildEntry(conversion)));
+  }, [enabled, commit]);
+
+  /**
+   * Records a conversion once the user stops typing.
+   * @param {{conversion: string, input: string, result: number, unitKey: string, baseValues: object}} conversion
+   */
+  const recordLater = useCallback(conversion => {
+    clearTimeout(timeout.current);
+    pending.current = conversion;
+    timeout.current = setTimeout(() => record(conversion), RECORD_DELAY);
+  }, [record]);
+
+  /**
+   * Records the conversion waiting for the delay, if any.
+   */
+  const flush = useCallback(() => {
+    if (pending.current) record(pending.current);
+  }, [record]);
+
+  // The popup can be closed at any time: record the conversion being typed
+  useEffect(() => {
+    window.addEventListener('pagehide', flush);
+    return () => window.removeEventListener('pagehide', flush);
+  }, [flush]);
+
+  useEffect(() => () => clearTimeout(timeout.current), []);
+
+  return {
+    entries,
+    recordLater,
+    flush,
+    pin: id => commit(togglePin(entriesRef.current, id)),
+    remove: id => commit(removeEntry(entriesRef.current, id)),
+    clear: () => commit(clearEntries(entriesRef.current)),
+  };
+}
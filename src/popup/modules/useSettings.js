@@ -0,0 +1,87 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  DEFAULT_SETTINGS,
+  loadSettings,
+  saveSettings,
+  subscribeSettings
+} from '@utils/settings';
+
+// Delay before writing, so that typing in a field does not hit the sync quotas
+const SAVE_DELAY = 300;
+
+/**
+ * React hook that exposes the persisted settings.
+ * Local changes are saved with a short debounce, changes made by other
+ * extension pages are applied as soon as the storage reports them.
+ *
+ * @function useSettings
+ * @returns {{settings: object, loaded: boolean, updateSettings: function}}
+ */
+export default function useSettings() {
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [loaded, setLoaded] = useState(false);
+
+  // Latest settings not yet written to the storage
+  const pending = useRef(null);
+
+  useEffect(() => {
+    let active = true;
+
+    loadSettings().then(stored => {
+      if (!active) return;
+      setSettings(stored);
+      setLoaded(true);
+    });
+
+    const unsubscribe = subscribeSettings(stored => {
+      // Local edits win over the echo of an older save
+      if (pending.current) return;
+      setSettings(stored);
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!pending.current) return;
+
+    const timeout = setTimeout(() => {
+      saveSettings(pending.current);
+      pending.current = null;
+    }, SAVE_DELAY);
+
+    return () => clearTimeout(timeout);
+  }, [settings]);
+
+  // The popup can be closed at any time: flush the pending write
+  useEffect(() => {
+    function flush() {
+      if (!pending.current) return;
+      saveSettings(pending.current);
+      pending.current = null;
+    }
+
+    window.addEventListener('pagehide', flush);
+    return () => window.removeEventListener('pagehide', flush);
+  }, []);
+
+  /**
+   * Merges a partial update (or the result of an updater function) into the settings.
+   * @param {object|function(object): object} update
+   */
+  const updateSettings = useCallback(update => {
+    setSettings(previous => {
+      const next = {
+        ...previous,
+        ...(typeof update === 'function' ? update(previous) : update)
+      };
+      pending.current = next;
+      return next;
+    });
+  }, []);
+
+  return { settings, loaded, updateSettings };
+}
@@ -0,0 +1,51 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  loadTokenSets,
+  saveTokenSets,
+  subscribeTokenSets
+} from '@utils/tokens';
+
+/**
+ * React hook that exposes the imported design token sets.
+ *
+ * @function useTokenSets
+ * @returns {{tokenSets: Array, add: function, remove: function}}
+ */
+export default function useTokenSets() {
+  const [tokenSets, setTokenSets] = useState([]);
+
+  // Latest list, so that two quick edits don't overwrite each other
+  const tokenSetsRef = useRef([]);
+
+  useEffect(() => {
+    let active = true;
+
+    function apply(list) {
+      tokenSetsRef.current = list;
+      setTokenSets(list);
+    }
+
+    loadTokenSets().then(stored => {
+      if (active) apply(stored);
+    });
+
+    const unsubscribe = subscribeTokenSets(apply);
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  const commit = useCallback(next => {
+    tokenSetsRef.current = next;
+    setTokenSets(next);
+    saveTokenSets(next);
+  }, []);
+
+  return {
+    tokenSets,
+    add: set => commit([...tokenSetsRef.current, set]),
+    remove: id => commit(tokenSetsRef.current.filter(set => set.id !== id)),
+  };
+}
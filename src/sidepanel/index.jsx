@@ -0,0 +1,14 @@
+import { StrictMode } from 'react'
+import { createRoot } from 'react-dom/client'
+import '@popup/styles/main.scss'
+import App from '@popup/App.jsx'
+import { getLocale } from '@utils/i18n'
+
+document.documentElement.lang = getLocale()
+
+// Same converter as the popup, laid out for the height of the side panel
+createRoot(document.getElementById('root')).render(
+  <StrictMode>
+    <App layout='sidepanel' />
+  </StrictMode>,
+)
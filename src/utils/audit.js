@@ -0,0 +1,259 @@
+/**
+ * @fileOverview
+ * Spacing and sizing audit of a page: margins, paddings, gaps, font sizes and
+ * border radii, checked against the base unit grid.
+ *
+ * The content script (see `src/content/audit.js`) collects two kinds of values:
+ * - declared values, read from the stylesheets and the inline styles, which
+ *   tell hardcoded px from rem;
+ * - rendered values, computed on every element, always in px.
+ * Both are grouped here by value, with occurrence counts and example selectors,
+ * and can be exported as JSON or CSV to follow the drift between releases.
+ */
+
+// Audited properties, with the longhands read from the computed styles
+export const AUDIT_PROPERTIES = {
+  margin: ['margin-top', 'margin-right', 'margin-bottom', 'margin-left'],
+  padding: ['padding-top', 'padding-right', 'padding-bottom', 'padding-left'],
+  gap: ['row-gap', 'column-gap'],
+  'font-size': ['font-size'],
+  'border-radius': [
+    'border-top-left-radius',
+    'border-top-right-radius',
+    'border-bottom-right-radius',
+    'border-bottom-left-radius',
+  ],
+};
+
+// Examples kept per value
+const MAX_EXAMPLES = 3;
+
+// Rounding noise of the computed values (e.g. 12.0000001px)
+const GRID_TOLERANCE = 0.01;
+
+/**
+ * Returns the audited property group of a declared property,
+ * e.g. 'margin-top' → 'margin', 'grid-gap' → 'gap'.
+ *
+ * @function getPropertyGroup
+ * @param {string} property
+ * @returns {string|null} null when the property is not audited.
+ */
+export function getPropertyGroup(property) {
+  const name = property.toLowerCase();
+
+  // Logical properties included: margin-inline, padding-block-start, border-start-end-radius...
+  if (name === 'margin' || name.startsWith('margin-')) return 'margin';
+  if (name === 'padding' || name.startsWith('padding-')) return 'padding';
+  if (/^(grid-)?((row|column)-)?gap$/.test(name)) return 'gap';
+  if (name === 'font-size') return 'font-size';
+  if (/^border(-[a-z]+)*-radius$/.test(name)) return 'border-radius';
+
+  return null;
+}
+
+/**
+ * Reads the lengths of a declared value, e.g. "8px 1.5rem" or "4px / 8px".
+ * Zero, keywords, percentages, `var()` and `calc()` are not lengths to audit.
+ *
+ * @function parseDeclaredLengths
+ * @param {string} value
+ * @returns {Array<{value: number, unit: 'px'|'rem'|'em'}>}
+ */
+export function parseDeclaredLengths(value) {
+  // Lengths inside functions depend on other values
+  const plain = value.replace(/[a-z-]+\([^)]*\)/gi, ' ');
+
+  return plain
+    .split(/[\s/]+/)
+    .map(part => part.match(/^(-?(?:\d+\.?\d*|\.\d+))(px|rem|em)$/i))
+    .filter(Boolean)
+    .map(match => ({ value: parseFloat(match[1]), unit: match[2].toLowerCase() }))
+    .filter(length => length.value !== 0);
+}
+
+/**
+ * Checks whether a px value is a multiple of the base unit.
+ *
+ * @function isOnGrid
+ * @param {number} px
+ * @param {number} baseUnit
+ * @returns {boolean}
+ */
+export function isOnGrid(px, baseUnit) {
+  if (!(baseUnit > 0)) return true;
+
+  const remainder = Math.abs(px) % baseUnit;
+  return remainder < GRID_TOLERANCE || baseUnit - remainder < GRID_TOLERANCE;
+}
+
+/**
+ * Adds an occurrence to its group.
+ *
+ * @function addOccurrence
+ * @param {Map} groups - The groups, by key.
+ * @param {string} key
+ * @param {object} group - The group to create when the key is new.
+ * @param {string} property
+ * @param {string} selector
+ */
+function addOccurrence(groups, key, group, property, selector) {
+  if (!groups.has(key)) groups.set(key, { ...group, count: 0, properties: [], examples: [] });
+
+  const current = groups.get(key);
+  current.count++;
+  if (!current.properties.includes(property)) current.properties.push(property);
+  if (current.examples.length < MAX_EXAMPLES && selector && !current.examples.includes(selector)) {
+    current.examples.push(selector);
+  }
+}
+
+/**
+ * Groups the declared values by value, most frequent first.
+ *
+ * @function groupDeclarations
+ * @param {Array<{property: string, value: string, selector: string}>} declarations
+ * @param {object} options
+ * @param {number} options.baseUnit - The grid step, in px.
+ * @param {number} options.rootFontSize - The px in 1rem on the page.
+ * @returns {Array<{value: string, unit: string, px: number|null, onGrid: boolean|null, count: number, properties: string[], examples: string[]}>}
+ */
+export function groupDeclarations(declarations, { baseUnit, rootFontSize }) {
+  const groups = new Map();
+
+  declarations.forEach(({ property, value, selector }) => {
+    const group = getPropertyGroup(property);
+    if (!group) return;
+
+    parseDeclaredLengths(value).forEach(length => {
+      // em depends on the font size of each element, it has no single px value
+      const px = length.unit === 'em' ? null : length.value * (length.unit === 'rem' ? rootFontSize : 1);
+      const text = `${length.value}${length.unit}`;
+
+      addOccurrence(groups, text, {
+        value: text,
+        unit: length.unit,
+        px,
+        onGrid: px === null ? null : isOnGrid(px, baseUnit),
+      }, group, selector);
+    });
+  });
+
+  return [...groups.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Groups the rendered values by px value, most frequent first.
+ *
+ * @function groupRenderedValues
+ * @param {Array<{property: string, px: number, selector: string}>} values
+ * @param {number} baseUnit - The grid step, in px.
+ * @returns {Array<{value: string, unit: string, px: number, onGrid: boolean, count: number, properties: string[], examples: string[]}>}
+ */
+export function groupRenderedValues(values, baseUnit) {
+  const groups = new Map();
+
+  values.forEach(({ property, px, selector }) => {
+    if (!px) return;
+
+    const rounded = parseFloat(px.toFixed(2));
+    addOccurrence(groups, String(rounded), {
+      value: `${rounded}px`,
+      unit: 'px',
+      px: rounded,
+      onGrid: isOnGrid(rounded, baseUnit),
+    }, getPropertyGroup(property), selector);
+  });
+
+  return [...groups.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Counts the occurrences of a report section.
+ *
+ * @function summarize
+ * @param {Array} groups
+ * @returns {{total: number, px: number, rem: number, em: number, offGrid: number}}
+ */
+export function summarize(groups) {
+  return groups.reduce((summary, group) => {
+    summary.total += group.count;
+    if (group.unit in summary) summary[group.unit] += group.count;
+    if (group.onGrid === false) summary.offGrid += group.count;
+    return summary;
+  }, { total: 0, px: 0, rem: 0, em: 0, offGrid: 0 });
+}
+
+/**
+ * Writes an audit report as JSON.
+ *
+ * @function exportAuditJson
+ * @param {object} report - See `auditPage` in the content script.
+ * @returns {string}
+ */
+export function exportAuditJson(report) {
+  return JSON.stringify({
+    ...report,
+    summary: {
+      declared: summarize(report.declared),
+      rendered: summarize(report.rendered),
+    },
+  }, null, 2);
+}
+
+/**
+ * Quotes a CSV field when needed.
+ *
+ * @function csvField
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes an audit report as CSV, one line per value.
+ *
+ * @function exportAuditCsv
+ * @param {object} report - See `auditPage` in the content script.
+ * @returns {string}
+ */
+export function exportAuditCsv(report) {
+  const header = ['source', 'value', 'unit', 'px', 'on_grid', 'count', 'properties', 'examples'];
+  const rows = [
+    ...report.declared.map(group => ['declared', group]),
+    ...report.rendered.map(group => ['rendered', group]),
+  ].map(([source, group]) => [
+    source,
+    group.value,
+    group.unit,
+    group.px,
+    group.onGrid,
+    group.count,
+    group.properties.join(' '),
+    group.examples.join(' | '),
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n');
+}
+
+/**
+ * Returns the name of an exported report, e.g. "converto-audit-example.com-2025-01-31.csv".
+ *
+ * @function getAuditFileName
+ * @param {object} report
+ * @param {'json'|'csv'} extension
+ * @returns {string}
+ */
+export function getAuditFileName(report, extension) {
+  let host = 'page';
+  try {
+    host = new URL(report.url).hostname || host;
+  } catch {
+    // Keep the generic name
+  }
+
+  return `converto-audit-${host}-${report.date.slice(0, 10)}.${extension}`;
+}
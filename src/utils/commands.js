@@ -0,0 +1,29 @@
+/**
+ * @fileOverview
+ * Keyboard shortcuts declared in the manifest (`commands`). They can be
+ * changed by the user in chrome://extensions/shortcuts.
+ *
+ * This file is also read by `src/manifest.js` at build time: it must not import anything.
+ */
+
+export const COMMANDS = {
+  SWAP_DIRECTION: 'swap-direction',
+  COPY_RESULT: 'copy-result',
+};
+
+// Default keys, per command ("_execute_action" opens the popup).
+// Descriptions are resolved by Chrome from `_locales`.
+// Ctrl+Shift+U is left alone: it starts the Unicode input of GTK and IBus on Linux.
+export const COMMAND_SHORTCUTS = {
+  _execute_action: {
+    suggested_key: { default: 'Alt+Shift+V' },
+  },
+  [COMMANDS.SWAP_DIRECTION]: {
+    suggested_key: { default: 'Alt+Shift+S' },
+    description: '__MSG_commandSwapDirection__',
+  },
+  [COMMANDS.COPY_RESULT]: {
+    suggested_key: { default: 'Alt+Shift+C' },
+    description: '__MSG_commandCopyResult__',
+  },
+};
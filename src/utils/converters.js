@@ -1,203 +1,361 @@
-
-/**
- * Converts PX to REM, given a custom baseRem value.
- * @param {number} px - The value in PX to be converted.
- * @param {number} baseRem - The number of px in 1rem.
- * @returns {number} The converted value in REM.
- */
-function pxToRem(px, baseRem) {
-  return px / baseRem;
-}
-
-/**
- * Converts REM to PX, given a custom baseRem value.
- * @param {number} rem - The value in REM to be converted.
- * @param {number} baseRem - The number of px in 1rem.
- * @returns {number} The converted value in PX.
- */
-function remToPx(rem, baseRem) {
-  return rem * baseRem;
-}
-
-/**
- * Converts PX to EM, given a custom baseEm value.
- * @param {number} px - The value in PX to be converted.
- * @param {number} baseEm - The number of px in 1em.
- * @returns {number} The converted value in EM.
- */
-function pxToEm(px, baseEm) {
-  return px / baseEm;
-}
-
-/**
- * Converts EM to PX, given a custom baseEm value.
- * @param {number} em - The value in EM to be converted.
- * @param {number} baseEm - The number of px in 1em.
- * @returns {number} The converted value in PX.
- */
-function emToPx(em, baseEm) {
-  return em * baseEm;
-}
-
-/**
- * Converts PX to percentage, given a container width in px.
- * @param {number} px - The value in PX to be converted.
- * @param {number} containerWidth - The container width in px for relative % calculation.
- * @returns {number} The converted value in % (0-100).
- */
-function pxToPct(px, containerWidth) {
-  return (px / containerWidth) * 100;
-}
-
-/**
- * Converts percentage to PX, given a container width in px.
- * @param {number} pct - The value in percentage to be converted.
- * @param {number} containerWidth - The container width in px for relative % calculation.
- * @returns {number} The converted value in PX.
- */
-function pctToPx(pct, containerWidth) {
-  return (pct / 100) * containerWidth;
-}
-
-/**
- * Converts a "base unit" to PX, given a baseUnit factor.
- * @param {number} base - The value in base units to be converted.
- * @param {number} baseUnit - The factor that 1 base unit represents in px.
- * @returns {number} The converted value in PX.
- */
-function baseUnitToPx(base, baseUnit) {
-  return base * baseUnit;
-}
-
-/**
- * Converts PX to "base unit", given a baseUnit factor.
- * @param {number} px - The value in PX to be converted.
- * @param {number} baseUnit - The factor that 1 base unit represents in px.
- * @returns {number} The converted value in base units.
- */
-function pxToBaseUnit(px, baseUnit) {
-  return px / baseUnit;
-}
-
-/**
- * Converts a value using the "forward" direction, based on the selected conversion.
- * @param {string} selectedConversion - The current mode of conversion (e.g., 'PX_REM', 'REM_PX', etc.).
- * @param {number} value - The number to convert.
- * @param {object} bases - An object containing all base values (baseRem, baseEm, containerWidth, baseUnit).
- * @returns {number} The converted result.
- */
-export function directConversion(selectedConversion, value, { baseRem, baseEm, containerWidth, baseUnit }) {
-  switch (selectedConversion) {
-    case 'PX_REM':
-      return pxToRem(value, baseRem);
-    case 'REM_PX':
-      return remToPx(value, baseRem);
-    case 'PX_EM':
-      return pxToEm(value, baseEm);
-    case 'EM_PX':
-      return emToPx(value, baseEm);
-    case 'PX_PCT':
-      return pxToPct(value, containerWidth);
-    case 'PCT_PX':
-      return pctToPx(value, containerWidth);
-    case 'BASE_PX':
-      return baseUnitToPx(value, baseUnit);
-    case 'PX_BASE':
-      return pxToBaseUnit(value, baseUnit);
-    default:
-      return 0;
-  }
-}
-
-/**
- * Converts a value using the "reverse" direction, based on the selected conversion.
- * @param {string} selectedConversion - The current mode of conversion (e.g., 'PX_REM', 'REM_PX', etc.).
- * @param {number} value - The number to convert.
- * @param {object} bases - An object containing all base values (baseRem, baseEm, containerWidth, baseUnit).
- * @returns {number} The converted result in the opposite direction.
- */
-export function reverseConversion(selectedConversion, value, { baseRem, baseEm, containerWidth, baseUnit }) {
-  switch (selectedConversion) {
-    case 'PX_REM':
-      // reverse = REM -> PX
-      return remToPx(value, baseRem);
-    case 'REM_PX':
-      // reverse = PX -> REM
-      return pxToRem(value, baseRem);
-    case 'PX_EM':
-      // reverse = EM -> PX
-      return emToPx(value, baseEm);
-    case 'EM_PX':
-      // reverse = PX -> EM
-      return pxToEm(value, baseEm);
-    case 'PX_PCT':
-      // reverse = % -> PX
-      return pctToPx(value, containerWidth);
-    case 'PCT_PX':
-      // reverse = PX -> %
-      return pxToPct(value, containerWidth);
-    case 'BASE_PX':
-      // reverse = PX -> base unit
-      return pxToBaseUnit(value, baseUnit);
-    case 'PX_BASE':
-      // reverse = base unit -> PX
-      return baseUnitToPx(value, baseUnit);
-    default:
-      return 0;
-  }
-}
-
-/**
- * Returns dynamic labels and placeholders for the two input fields, based on the selected conversion.
- * @param {string} selectedConversion - The current mode of conversion (e.g., 'PX_REM', 'REM_PX', etc.).
- * @returns {{label1: string, label2: string, placeholder1: string, placeholder2: string}}
- */
-export function getLabelsAndPlaceholders(selectedConversion) {
-  switch (selectedConversion) {
-    case 'PX_REM':
-      return {
-        placeholder1: 'PX',
-        placeholder2: 'REM'
-      };
-    case 'REM_PX':
-      return {
-        placeholder1: 'REM',
-        placeholder2: 'PX'
-      };
-    case 'PX_EM':
-      return {
-        placeholder1: 'PX',
-        placeholder2: 'EM'
-      };
-    case 'EM_PX':
-      return {
-        placeholder1: 'EM',
-        placeholder2: 'PX'
-      };
-    case 'PX_PCT':
-      return {
-        placeholder1: 'PX',
-        placeholder2: '%'
-      };
-    case 'PCT_PX':
-      return {
-        placeholder1: '%',
-        placeholder2: 'PX'
-      };
-    case 'BASE_PX':
-      return {
-        placeholder1: 'base unit',
-        placeholder2: 'PX'
-      };
-    case 'PX_BASE':
-      return {
-        placeholder1: 'PX',
-        placeholder2: 'base unit'
-      };
-    default:
-      return {
-        placeholder1: 'value',
-        placeholder2: 'value'
-      };
-  }
-}
\ No newline at end of file
+import { getMessage } from './i18n';
+
+/**
+ * Converts PX to REM, given a custom baseRem value.
+ * @param {number} px - The value in PX to be converted.
+ * @param {number} baseRem - The number of px in 1rem.
+ * @returns {number} The converted value in REM.
+ */
+function pxToRem(px, baseRem) {
+  return px / baseRem;
+}
+
+/**
+ * Converts REM to PX, given a custom baseRem value.
+ * @param {number} rem - The value in REM to be converted.
+ * @param {number} baseRem - The number of px in 1rem.
+ * @returns {number} The converted value in PX.
+ */
+function remToPx(rem, baseRem) {
+  return rem * baseRem;
+}
+
+/**
+ * Converts PX to EM, given a custom baseEm value.
+ * @param {number} px - The value in PX to be converted.
+ * @param {number} baseEm - The number of px in 1em.
+ * @returns {number} The converted value in EM.
+ */
+function pxToEm(px, baseEm) {
+  return px / baseEm;
+}
+
+/**
+ * Converts EM to PX, given a custom baseEm value.
+ * @param {number} em - The value in EM to be converted.
+ * @param {number} baseEm - The number of px in 1em.
+ * @returns {number} The converted value in PX.
+ */
+function emToPx(em, baseEm) {
+  return em * baseEm;
+}
+
+/**
+ * Converts PX to percentage, given a container width in px.
+ * @param {number} px - The value in PX to be converted.
+ * @param {number} containerWidth - The container width in px for relative % calculation.
+ * @returns {number} The converted value in % (0-100).
+ */
+function pxToPct(px, containerWidth) {
+  return (px / containerWidth) * 100;
+}
+
+/**
+ * Converts percentage to PX, given a container width in px.
+ * @param {number} pct - The value in percentage to be converted.
+ * @param {number} containerWidth - The container width in px for relative % calculation.
+ * @returns {number} The converted value in PX.
+ */
+function pctToPx(pct, containerWidth) {
+  return (pct / 100) * containerWidth;
+}
+
+/**
+ * Converts a "base unit" to PX, given a baseUnit factor.
+ * @param {number} base - The value in base units to be converted.
+ * @param {number} baseUnit - The factor that 1 base unit represents in px.
+ * @returns {number} The converted value in PX.
+ */
+function baseUnitToPx(base, baseUnit) {
+  return base * baseUnit;
+}
+
+/**
+ * Converts PX to "base unit", given a baseUnit factor.
+ * @param {number} px - The value in PX to be converted.
+ * @param {number} baseUnit - The factor that 1 base unit represents in px.
+ * @returns {number} The converted value in base units.
+ */
+function pxToBaseUnit(px, baseUnit) {
+  return px / baseUnit;
+}
+
+/**
+ * Converts viewport units to PX, given the viewport size the unit refers to.
+ * @param {number} value - The value in viewport units.
+ * @param {number} viewportSize - The viewport side (or min/max side) in px.
+ * @returns {number} The converted value in PX.
+ */
+function viewportToPx(value, viewportSize) {
+  return (value / 100) * viewportSize;
+}
+
+/**
+ * Converts PX to viewport units, given the viewport size the unit refers to.
+ * @param {number} px - The value in PX to be converted.
+ * @param {number} viewportSize - The viewport side (or min/max side) in px.
+ * @returns {number} The converted value in viewport units.
+ */
+function pxToViewport(px, viewportSize) {
+  return (px / viewportSize) * 100;
+}
+
+/**
+ * Converts physical units (in, cm, pt...) to PX, given the px in 1 inch.
+ * @param {number} value - The value in the physical unit.
+ * @param {number} perInch - The number of units in 1 inch (e.g. 72 for pt).
+ * @param {number} dpi - The number of px in 1 inch (96 in CSS).
+ * @returns {number} The converted value in PX.
+ */
+function physicalToPx(value, perInch, dpi) {
+  return (value / perInch) * dpi;
+}
+
+/**
+ * Converts PX to physical units (in, cm, pt...), given the px in 1 inch.
+ * @param {number} px - The value in PX to be converted.
+ * @param {number} perInch - The number of units in 1 inch (e.g. 72 for pt).
+ * @param {number} dpi - The number of px in 1 inch (96 in CSS).
+ * @returns {number} The converted value in the physical unit.
+ */
+function pxToPhysical(px, perInch, dpi) {
+  return (px / dpi) * perInch;
+}
+
+/**
+ * Builds the registry entry of a viewport unit.
+ * The configured viewport has no retractable browser UI, so the small (sv*),
+ * large (lv*) and dynamic (dv*) variants resolve to the same size.
+ * @param {string} suffix - The CSS unit, e.g. 'vw'.
+ * @param {string[]} bases - The viewport base values the unit depends on.
+ * @param {function(object): number} getSize - Returns the reference size in px.
+ * @returns {object}
+ */
+function viewportUnit(suffix, bases, getSize) {
+  return {
+    label: suffix.toUpperCase(),
+    placeholder: suffix.toUpperCase(),
+    suffix,
+    bases,
+    toPx: (value, baseValues) => viewportToPx(value, getSize(baseValues)),
+    fromPx: (px, baseValues) => pxToViewport(px, getSize(baseValues)),
+  };
+}
+
+/**
+ * Builds the registry entry of a physical unit.
+ * CSS anchors them to 96px in 1 inch; the `dpi` base value changes it for
+ * print and PDF work (e.g. 300 to get the pixels of a 300 DPI export).
+ * @param {string} suffix - The CSS unit, e.g. 'pt'.
+ * @param {number} perInch - The number of units in 1 inch.
+ * @returns {object}
+ */
+function physicalUnit(suffix, perInch) {
+  return {
+    label: suffix.toUpperCase(),
+    placeholder: suffix.toUpperCase(),
+    suffix,
+    bases: ['dpi'],
+    toPx: (value, { dpi }) => physicalToPx(value, perInch, dpi),
+    fromPx: (px, { dpi }) => pxToPhysical(px, perInch, dpi),
+  };
+}
+
+/**
+ * Registry of the supported units.
+ * Each unit knows how to convert to and from px, and which base values it needs.
+ * Any unit can be converted to any other one through px.
+ *
+ * @type {Object<string, {label: string, placeholder: string, suffix: string|null, bases: string[], toPx: function, fromPx: function}>}
+ */
+export const UNITS = {
+  PX: {
+    label: 'PX',
+    placeholder: 'PX',
+    suffix: 'px',
+    bases: [],
+    toPx: value => value,
+    fromPx: px => px,
+  },
+  REM: {
+    label: 'REM',
+    placeholder: 'REM',
+    suffix: 'rem',
+    bases: ['baseRem'],
+    toPx: (value, { baseRem }) => remToPx(value, baseRem),
+    fromPx: (px, { baseRem }) => pxToRem(px, baseRem),
+  },
+  EM: {
+    label: 'EM',
+    placeholder: 'EM',
+    suffix: 'em',
+    bases: ['baseEm'],
+    toPx: (value, { baseEm }) => emToPx(value, baseEm),
+    fromPx: (px, { baseEm }) => pxToEm(px, baseEm),
+  },
+  PCT: {
+    label: '%',
+    placeholder: '%',
+    suffix: '%',
+    bases: ['containerWidth'],
+    toPx: (value, { containerWidth }) => pctToPx(value, containerWidth),
+    fromPx: (px, { containerWidth }) => pxToPct(px, containerWidth),
+  },
+  BASE: {
+    label: getMessage('unitBase'),
+    placeholder: getMessage('unitBasePlaceholder'),
+    suffix: null, // not a CSS unit
+    bases: ['baseUnit'],
+    toPx: (value, { baseUnit }) => baseUnitToPx(value, baseUnit),
+    fromPx: (px, { baseUnit }) => pxToBaseUnit(px, baseUnit),
+  },
+  VW: viewportUnit('vw', ['viewportWidth'], ({ viewportWidth }) => viewportWidth),
+  VH: viewportUnit('vh', ['viewportHeight'], ({ viewportHeight }) => viewportHeight),
+  VMIN: viewportUnit(
+    'vmin',
+    ['viewportWidth', 'viewportHeight'],
+    ({ viewportWidth, viewportHeight }) => Math.min(viewportWidth, viewportHeight)
+  ),
+  VMAX: viewportUnit(
+    'vmax',
+    ['viewportWidth', 'viewportHeight'],
+    ({ viewportWidth, viewportHeight }) => Math.max(viewportWidth, viewportHeight)
+  ),
+  SVH: viewportUnit('svh', ['viewportHeight'], ({ viewportHeight }) => viewportHeight),
+  LVH: viewportUnit('lvh', ['viewportHeight'], ({ viewportHeight }) => viewportHeight),
+  DVH: viewportUnit('dvh', ['viewportHeight'], ({ viewportHeight }) => viewportHeight),
+  PT: physicalUnit('pt', 72),
+  PC: physicalUnit('pc', 6),
+  IN: physicalUnit('in', 1),
+  CM: physicalUnit('cm', 2.54),
+  MM: physicalUnit('mm', 25.4),
+  // Quarter-millimeters, the only CSS unit written in uppercase
+  Q: physicalUnit('Q', 101.6),
+};
+
+/**
+ * Builds a conversion identifier from its two units (e.g. 'REM', 'EM' → 'REM_EM').
+ *
+ * @function getConversion
+ * @param {string} from - The source unit key.
+ * @param {string} to - The target unit key.
+ * @returns {string}
+ */
+export function getConversion(from, to) {
+  return `${from}_${to}`;
+}
+
+/**
+ * Returns the unit keys at both ends of a conversion (e.g. 'PX_REM' → ['PX', 'REM']).
+ *
+ * @function getConversionUnits
+ * @param {string} conversion
+ * @returns {[string, string]}
+ */
+export function getConversionUnits(conversion) {
+  return conversion.split('_');
+}
+
+/**
+ * Checks whether both ends of a conversion are known units.
+ *
+ * @function isValidConversion
+ * @param {string} conversion
+ * @returns {boolean}
+ */
+export function isValidConversion(conversion) {
+  if (typeof conversion !== 'string') return false;
+
+  const [from, to, ...rest] = getConversionUnits(conversion);
+  return rest.length === 0 && from in UNITS && to in UNITS;
+}
+
+/**
+ * Returns the opposite conversion (e.g. 'REM_EM' → 'EM_REM').
+ *
+ * @function invertConversion
+ * @param {string} conversion
+ * @returns {string}
+ */
+export function invertConversion(conversion) {
+  const [from, to] = getConversionUnits(conversion);
+  return getConversion(to, from);
+}
+
+/**
+ * Returns the base values needed by a conversion.
+ *
+ * @function getRequiredBases
+ * @param {string} conversion
+ * @returns {string[]} e.g. ['baseRem', 'containerWidth']
+ */
+export function getRequiredBases(conversion) {
+  if (!isValidConversion(conversion)) return [];
+
+  const [from, to] = getConversionUnits(conversion);
+  return [...new Set([...UNITS[from].bases, ...UNITS[to].bases])];
+}
+
+/**
+ * Converts a value from any unit to any other unit, through px.
+ *
+ * @function convert
+ * @param {number} value - The number to convert.
+ * @param {string} from - The source unit key (e.g. 'REM').
+ * @param {string} to - The target unit key (e.g. 'EM').
+ * @param {object} bases - An object containing all base values (see `DEFAULT_BASE_VALUES`).
+ * @returns {number} The converted result.
+ */
+export function convert(value, from, to, bases) {
+  if (!(from in UNITS) || !(to in UNITS)) return 0;
+  if (from === to) return value;
+
+  return UNITS[to].fromPx(UNITS[from].toPx(value, bases), bases);
+}
+
+/**
+ * Converts a value using the "forward" direction, based on the selected conversion.
+ * @param {string} selectedConversion - The current mode of conversion (e.g., 'PX_REM', 'REM_EM', etc.).
+ * @param {number} value - The number to convert.
+ * @param {object} bases - An object containing all base values (see `DEFAULT_BASE_VALUES`).
+ * @returns {number} The converted result.
+ */
+export function directConversion(selectedConversion, value, bases) {
+  if (!isValidConversion(selectedConversion)) return 0;
+
+  const [from, to] = getConversionUnits(selectedConversion);
+  return convert(value, from, to, bases);
+}
+
+/**
+ * Converts a value using the "reverse" direction, based on the selected conversion.
+ * @param {string} selectedConversion - The current mode of conversion (e.g., 'PX_REM', 'REM_EM', etc.).
+ * @param {number} value - The number to convert.
+ * @param {object} bases - An object containing all base values (see `DEFAULT_BASE_VALUES`).
+ * @returns {number} The converted result in the opposite direction.
+ */
+export function reverseConversion(selectedConversion, value, bases) {
+  if (!isValidConversion(selectedConversion)) return 0;
+
+  return directConversion(invertConversion(selectedConversion), value, bases);
+}
+
+/**
+ * Returns dynamic placeholders for the two input fields, based on the selected conversion.
+ * @param {string} selectedConversion - The current mode of conversion (e.g., 'PX_REM', 'REM_EM', etc.).
+ * @returns {{placeholder1: string, placeholder2: string}}
+ */
+export function getLabelsAndPlaceholders(selectedConversion) {
+  if (!isValidConversion(selectedConversion)) {
+    return {
+      placeholder1: 'value',
+      placeholder2: 'value'
+    };
+  }
+
+  const [from, to] = getConversionUnits(selectedConversion);
+  return {
+    placeholder1: UNITS[from].placeholder,
+    placeholder2: UNITS[to].placeholder
+  };
+}
@@ -0,0 +1,84 @@
+/**
+ * @fileOverview
+ * Access to the element selected in the DevTools Elements panel (`$0`).
+ *
+ * DevTools pages can't inject scripts: the element is measured by evaluating
+ * `measureSelection` in the inspected page. The function is sent as source
+ * text, so it only uses its parameters and the page globals, and receives
+ * `computeContentSize` the same way.
+ */
+
+import { computeContentSize } from './globalMethods';
+import { getMessage } from './i18n';
+
+/**
+ * Measures an element of the inspected page, like the element picker does.
+ * Runs in the page: it can't reference anything of this module.
+ *
+ * @function measureSelection
+ * @param {Element|undefined} element - `$0`
+ * @param {function} measureContent - `computeContentSize`
+ * @returns {object|null} The inspection, null when no element is selected.
+ */
+function measureSelection(element, measureContent) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+
+  const styles = window.getComputedStyle(element);
+  const parentStyles = window.getComputedStyle(element.parentElement || document.documentElement);
+  const id = element.id ? `#${CSS.escape(element.id)}` : '';
+  const classes = Array.from(element.classList)
+    .slice(0, 2)
+    .map(name => `.${CSS.escape(name)}`)
+    .join('');
+
+  return Object.assign(
+    { selector: `${element.tagName.toLowerCase()}${id}${classes}` },
+    measureContent(styles),
+    {
+      fontSize: parseFloat(styles.fontSize) || 0,
+      rootFontSize: parseFloat(window.getComputedStyle(document.documentElement).fontSize) || 16,
+      parentFontSize: parseFloat(parentStyles.fontSize) || 16,
+    }
+  );
+}
+
+/**
+ * Checks whether the current page runs inside DevTools.
+ *
+ * @function isDevtoolsPage
+ * @returns {boolean}
+ */
+export function isDevtoolsPage() {
+  return typeof chrome !== 'undefined' && !!chrome.devtools?.inspectedWindow;
+}
+
+/**
+ * Measures the element selected in the Elements panel.
+ *
+ * @async
+ * @function measureSelectedElement
+ * @returns {Promise<object|null>} The inspection, null when no element is selected.
+ */
+export function measureSelectedElement() {
+  const expression = `(${measureSelection})($0, ${computeContentSize})`;
+
+  return new Promise((resolve, reject) => {
+    chrome.devtools.inspectedWindow.eval(expression, (result, exception) => {
+      if (exception) reject(new Error(getMessage('errorDevtoolsMeasure')));
+      else resolve(result || null);
+    });
+  });
+}
+
+/**
+ * Listens for selection changes in the Elements panel.
+ *
+ * @function watchSelection
+ * @param {function(): void} callback
+ * @returns {function(): void} A function that removes the listener.
+ */
+export function watchSelection(callback) {
+  const { onSelectionChanged } = chrome.devtools.panels.elements;
+  onSelectionChanged.addListener(callback);
+  return () => onSelectionChanged.removeListener(callback);
+}
@@ -0,0 +1,21 @@
+/**
+ * @fileOverview
+ * Files saved from the extension pages (settings, audit reports).
+ */
+
+/**
+ * Saves a text as a file in the downloads.
+ *
+ * @function downloadText
+ * @param {string} text
+ * @param {string} fileName
+ * @param {string} [type='application/json'] - The MIME type of the file.
+ */
+export function downloadText(text, fileName, type = 'application/json') {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
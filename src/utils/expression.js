@@ -0,0 +1,258 @@
+/**
+ * @fileOverview
+ * Parser and evaluator for the expressions typed in the conversion fields,
+ * e.g. `24px + 0.5rem`, `3 * 8` or `calc(100% - 32px)`.
+ *
+ * Grammar (usual precedence, `calc()` behaves like parentheses):
+ *   expression := term (('+' | '-') term)*
+ *   term       := factor (('*' | '/') factor)*
+ *   factor     := ('+' | '-') factor | NUMBER UNIT? | '(' expression ')' | 'calc(' expression ')'
+ *
+ * Every length is resolved to px with the current base values, bare numbers
+ * stay unitless. A unitless result is read in the unit of the field.
+ */
+
+import { UNITS } from './converters';
+import { getMessage } from './i18n';
+
+// Units accepted in expressions (the CSS ones, case-insensitive), mapped to their registry keys
+const UNIT_KEYS = Object.entries(UNITS).reduce((keys, [key, unit]) => {
+  if (unit.suffix) keys[unit.suffix.toLowerCase()] = key;
+  return keys;
+}, {});
+
+/**
+ * Error raised for invalid or unit-incompatible expressions.
+ */
+export class ExpressionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExpressionError';
+  }
+}
+
+/**
+ * Splits an expression in tokens.
+ *
+ * @function tokenize
+ * @param {string} input
+ * @returns {Array<{type: string, value: *, unit?: string, position: number}>}
+ */
+export function tokenize(input) {
+  const tokens = [];
+  const pattern = /\s*(?:(calc\()|((?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([a-z%]*)|([-+*/()]))/iy;
+  let position = 0;
+
+  while (position < input.length) {
+    pattern.lastIndex = position;
+    const match = pattern.exec(input);
+
+    if (!match) {
+      const rest = input.slice(position).trim();
+      if (!rest) break;
+      throw new ExpressionError(getMessage('errorUnexpected', [rest[0]]));
+    }
+
+    const [whole, calc, number, unit, operator] = match;
+    const start = position + whole.length - whole.trimStart().length;
+
+    if (calc) {
+      tokens.push({ type: '(', position: start });
+    } else if (number !== undefined) {
+      const suffix = unit.toLowerCase();
+      if (suffix && !(suffix in UNIT_KEYS)) {
+        throw new ExpressionError(getMessage('errorUnknownUnit', [unit]));
+      }
+      tokens.push({ type: 'number', value: parseFloat(number), unit: suffix, position: start });
+    } else {
+      tokens.push({ type: operator, position: start });
+    }
+
+    position += whole.length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Returns the text of a token, for the error messages.
+ *
+ * @function describeToken
+ * @param {object} token
+ * @returns {string}
+ */
+function describeToken(token) {
+  return token.type === 'number' ? `${token.value}${token.unit}` : token.type;
+}
+
+/**
+ * Parses and evaluates the tokens. Each quantity is { value, length },
+ * where value is in px when length is true.
+ *
+ * @function evaluateTokens
+ * @param {Array} tokens
+ * @param {object} bases
+ * @returns {{value: number, length: boolean}}
+ */
+function evaluateTokens(tokens, bases) {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+
+  function expression() {
+    let left = term();
+
+    while (peek() && (peek().type === '+' || peek().type === '-')) {
+      const operator = next().type;
+      const right = term();
+
+      if (left.length !== right.length) {
+        throw new ExpressionError(getMessage(operator === '+' ? 'errorAddLength' : 'errorSubtractLength'));
+      }
+
+      left = {
+        value: operator === '+' ? left.value + right.value : left.value - right.value,
+        length: left.length,
+      };
+    }
+
+    return left;
+  }
+
+  function term() {
+    let left = factor();
+
+    while (peek() && (peek().type === '*' || peek().type === '/')) {
+      const operator = next().type;
+      const right = factor();
+
+      if (operator === '*') {
+        if (left.length && right.length) {
+          throw new ExpressionError(getMessage('errorMultiplyLengths'));
+        }
+        left = { value: left.value * right.value, length: left.length || right.length };
+      } else {
+        if (!left.length && right.length) {
+          throw new ExpressionError(getMessage('errorDivideByLength'));
+        }
+        if (right.value === 0) {
+          throw new ExpressionError(getMessage('errorDivisionByZero'));
+        }
+        // length / length gives a ratio
+        left = { value: left.value / right.value, length: left.length && !right.length };
+      }
+    }
+
+    return left;
+  }
+
+  function factor() {
+    const token = next();
+
+    if (!token) throw new ExpressionError(getMessage('errorIncomplete'));
+
+    switch (token.type) {
+      case '+':
+        return factor();
+      case '-': {
+        const operand = factor();
+        return { ...operand, value: -operand.value };
+      }
+      case 'number':
+        return token.unit
+          ? { value: UNITS[UNIT_KEYS[token.unit]].toPx(token.value, bases), length: true }
+          : { value: token.value, length: false };
+      case '(': {
+        const inner = expression();
+        if (!peek() || peek().type !== ')') throw new ExpressionError(getMessage('errorMissingParenthesis'));
+        next();
+        return inner;
+      }
+      default:
+        throw new ExpressionError(getMessage('errorUnexpected', [describeToken(token)]));
+    }
+  }
+
+  const result = expression();
+  if (index < tokens.length) {
+    throw new ExpressionError(getMessage('errorUnexpected', [describeToken(tokens[index])]));
+  }
+
+  return result;
+}
+
+/**
+ * Evaluates an expression and returns the result in the given unit.
+ *
+ * @function evaluateExpression
+ * @param {string} input - The text typed by the user.
+ * @param {string} unitKey - The unit of the field (e.g. 'PX', 'REM', 'BASE').
+ * @param {object} bases - The current base values.
+ * @returns {number|null} The result, or null when the input is empty.
+ * @throws {ExpressionError} When the expression is invalid.
+ */
+export function evaluateExpression(input, unitKey, bases) {
+  const tokens = tokenize(input);
+  if (tokens.length === 0) return null;
+
+  const result = evaluateTokens(tokens, bases);
+  const value = result.length ? UNITS[unitKey].fromPx(result.value, bases) : result.value;
+
+  if (!Number.isFinite(value)) throw new ExpressionError(getMessage('errorNotFinite'));
+
+  return value;
+}
+
+/**
+ * Evaluates an expression that must give a length, e.g. `16px / 2`.
+ * Unlike `evaluateExpression`, a unitless result (`16px / 8px`) is rejected.
+ *
+ * @function evaluateLength
+ * @param {string} input - The text typed by the user.
+ * @param {object} bases - The current base values.
+ * @returns {number|null} The result in px, or null when the input is empty.
+ * @throws {ExpressionError} When the expression is invalid or its result has no unit.
+ */
+export function evaluateLength(input, bases) {
+  const tokens = tokenize(input);
+  if (tokens.length === 0) return null;
+
+  const result = evaluateTokens(tokens, bases);
+  if (!result.length) throw new ExpressionError(getMessage('errorRatio'));
+  if (!Number.isFinite(result.value)) throw new ExpressionError(getMessage('errorNotFinite'));
+
+  return result.value;
+}
+
+/**
+ * Returns the registry key of a CSS unit suffix.
+ *
+ * @function getUnitKey
+ * @param {string} suffix - e.g. 'rem' or '%'
+ * @returns {string|null} e.g. 'REM', null when the unit is unknown.
+ */
+export function getUnitKey(suffix) {
+  return UNIT_KEYS[suffix.toLowerCase()] || null;
+}
+
+/**
+ * Reads a single length, like `24px` or `1.5rem`, e.g. some text selected in a page.
+ *
+ * @function parseLength
+ * @param {string} text
+ * @param {string} defaultUnit - The unit of a bare number.
+ * @returns {{value: number, unitKey: string}|null} null when the text is not a length.
+ */
+export function parseLength(text, defaultUnit = 'PX') {
+  const match = text.trim().match(/^([-+]?(?:\d+\.?\d*|\.\d+))\s*([a-z%]*)$/i);
+  if (!match) return null;
+
+  const suffix = match[2].toLowerCase();
+  if (suffix && !(suffix in UNIT_KEYS)) return null;
+
+  return {
+    value: parseFloat(match[1]),
+    unitKey: suffix ? UNIT_KEYS[suffix] : defaultUnit,
+  };
+}
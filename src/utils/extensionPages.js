@@ -0,0 +1,84 @@
+/**
+ * @fileOverview
+ * The extension pages hosting the converter: the popup, which closes as soon
+ * as it loses the focus, and the side panel, which stays open next to the page.
+ * Both render the same `App` and share their state through the storage.
+ * The side panel page can also be opened in a tab.
+ */
+
+const SIDE_PANEL_PATH = 'src/sidepanel/index.html';
+
+/**
+ * Checks whether an extension page of the given types is open.
+ *
+ * @async
+ * @function isPageOpen
+ * @param {string[]} contextTypes - e.g. ['POPUP', 'SIDE_PANEL']
+ * @returns {Promise<boolean>}
+ */
+export async function isPageOpen(contextTypes) {
+  // runtime.getContexts is only available from Chrome 116
+  if (typeof chrome === 'undefined' || !chrome.runtime?.getContexts) return false;
+
+  const contexts = await chrome.runtime.getContexts({ contextTypes });
+  return contexts.length > 0;
+}
+
+/**
+ * Checks whether the side panel can be opened from the current page.
+ *
+ * @function canOpenSidePanel
+ * @returns {boolean}
+ */
+export function canOpenSidePanel() {
+  return typeof chrome !== 'undefined' && !!chrome.sidePanel?.open && !!chrome.windows;
+}
+
+/**
+ * Returns the id of the window of the current page.
+ *
+ * @async
+ * @function getCurrentWindowId
+ * @returns {Promise<number>}
+ */
+export async function getCurrentWindowId() {
+  const current = await chrome.windows.getCurrent();
+  return current.id;
+}
+
+/**
+ * Opens the side panel in a window. It must run in a user gesture handler,
+ * so the window id is read beforehand (see `getCurrentWindowId`).
+ *
+ * @async
+ * @function openSidePanel
+ * @param {number} windowId
+ * @returns {Promise<void>}
+ */
+export function openSidePanel(windowId) {
+  return chrome.sidePanel.open({ windowId });
+}
+
+/**
+ * Checks whether extension pages can be opened in a tab.
+ *
+ * @function canOpenExtensionTab
+ * @returns {boolean}
+ */
+export function canOpenExtensionTab() {
+  return typeof chrome !== 'undefined' && !!chrome.tabs?.create && !!chrome.runtime?.getURL;
+}
+
+/**
+ * Opens the side panel page in a tab, e.g. for a file import: the popup is
+ * closed when the file chooser opens (macOS, Linux), so it can't read the file.
+ *
+ * @async
+ * @function openExtensionTab
+ * @param {string} section - Read by the page from the hash (e.g. 'settings-file').
+ * @returns {Promise<void>}
+ */
+export async function openExtensionTab(section = '') {
+  const hash = section ? `#${section}` : '';
+  await chrome.tabs.create({ url: chrome.runtime.getURL(`${SIDE_PANEL_PATH}${hash}`) });
+}
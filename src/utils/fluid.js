@@ -0,0 +1,108 @@
+/**
+ * @fileOverview
+ * Fluid typography: builds a `clamp(min, preferred, max)` expression that grows
+ * linearly from a min size at a min viewport to a max size at a max viewport.
+ *
+ * All the inputs are in px. The preferred value is `intercept + slope * 100vw`,
+ * written as `<intercept>rem + <slope>vw` so that it still follows the user font size.
+ */
+
+import { getMessage } from './i18n';
+
+// Viewport widths shown in the preview table
+export const PREVIEW_WIDTHS = [320, 375, 768, 1024, 1280, 1440, 1920];
+
+// Zoom levels browsers offer (up to 500%) and the device widths checked against WCAG 1.4.4
+const ZOOM_LEVELS = [1, 1.1, 1.25, 1.5, 1.75, 2, 2.5, 3, 4, 5];
+const CHECKED_WIDTHS = Array.from({ length: 57 }, (_, index) => 320 + index * 40);
+
+/**
+ * Returns a number with at most the given decimals and no trailing zeros.
+ *
+ * @function round
+ * @param {number} value
+ * @param {number} decimals
+ * @returns {number}
+ */
+function round(value, decimals = 4) {
+  return parseFloat(value.toFixed(decimals));
+}
+
+/**
+ * Computes the fluid size definition.
+ *
+ * @function computeFluidSize
+ * @param {object} values - Sizes and viewports in px.
+ * @param {number} values.minSize
+ * @param {number} values.maxSize
+ * @param {number} values.minViewport
+ * @param {number} values.maxViewport
+ * @param {number} baseRem - The number of px in 1rem.
+ * @returns {{slope: number, intercept: number, minSize: number, maxSize: number, expression: string}}
+ * @throws {RangeError} When the values can't describe a fluid size.
+ */
+export function computeFluidSize({ minSize, maxSize, minViewport, maxViewport }, baseRem) {
+  if (![minSize, maxSize, minViewport, maxViewport].every(Number.isFinite)) {
+    throw new RangeError(getMessage('fluidErrorFill'));
+  }
+  if (maxViewport <= minViewport) {
+    throw new RangeError(getMessage('fluidErrorViewport'));
+  }
+  if (!(baseRem > 0)) {
+    throw new RangeError(getMessage('fluidErrorRem'));
+  }
+
+  const slope = (maxSize - minSize) / (maxViewport - minViewport);
+  const intercept = minSize - slope * minViewport;
+
+  const lower = Math.min(minSize, maxSize);
+  const upper = Math.max(minSize, maxSize);
+  const interceptRem = round(intercept / baseRem);
+  const slopeVw = round(slope * 100);
+  const sign = slopeVw < 0 ? '-' : '+';
+
+  const expression = `clamp(${round(lower / baseRem)}rem, ${interceptRem}rem ${sign} ${Math.abs(slopeVw)}vw, ${round(upper / baseRem)}rem)`;
+
+  return {
+    slope,
+    intercept,
+    minSize: lower,
+    maxSize: upper,
+    expression,
+  };
+}
+
+/**
+ * Returns the size in px at the given viewport width.
+ *
+ * @function fluidSizeAt
+ * @param {object} fluid - The result of `computeFluidSize`.
+ * @param {number} viewportWidth - In CSS px.
+ * @returns {number}
+ */
+export function fluidSizeAt({ slope, intercept, minSize, maxSize }, viewportWidth) {
+  return Math.min(Math.max(intercept + slope * viewportWidth, minSize), maxSize);
+}
+
+/**
+ * Checks WCAG 1.4.4 (Resize text): zooming the page up to 500% must be able
+ * to render the text at least at twice its size, at every device width.
+ * Zooming shrinks the CSS viewport, so the vw part of the size gets smaller
+ * and may cancel out the zoom.
+ *
+ * @function checkTextResize
+ * @param {object} fluid - The result of `computeFluidSize`.
+ * @returns {{passes: boolean, failingWidth: number|null}}
+ */
+export function checkTextResize(fluid) {
+  const failingWidth = CHECKED_WIDTHS.find(width => {
+    const size = fluidSizeAt(fluid, width);
+    const bestZoomed = Math.max(...ZOOM_LEVELS.map(zoom => zoom * fluidSizeAt(fluid, width / zoom)));
+    return bestZoomed < 2 * size - 0.01;
+  });
+
+  return {
+    passes: failingWidth === undefined,
+    failingWidth: failingWidth ?? null,
+  };
+}
@@ -0,0 +1,191 @@
+/**
+ * @fileOverview
+ * Formatting of the converted values: decimal places, rounding mode,
+ * trailing zeros and unit suffix, and the formats offered by the copy button.
+ */
+
+import { UNITS } from './converters';
+import { getMessage } from './i18n';
+
+export const ROUNDING_MODES = [
+  { value: 'round', label: getMessage('roundingRound') },
+  { value: 'floor', label: getMessage('roundingFloor') },
+  { value: 'ceil', label: getMessage('roundingCeil') },
+  { value: 'snap', label: getMessage('roundingSnap') },
+];
+
+export const COPY_FORMATS = [
+  { value: 'unit', label: '1rem' },
+  { value: 'number', label: '1' },
+  { value: 'property', label: '--space-2: 1rem;' },
+  { value: 'tailwind', label: 'theme(spacing.4)' },
+];
+
+export const MAX_DECIMALS = 10;
+
+export const DEFAULT_FORMAT = {
+  decimals: 3,
+  rounding: 'round',
+  trimZeros: true,
+  includeUnit: false,
+  copyFormat: 'unit',
+};
+
+// Rounding functions of the modes, the others round to the nearest
+const ROUNDING_METHODS = { floor: Math.floor, ceil: Math.ceil };
+
+// Tailwind's default spacing scale: 1 step = 0.25rem
+const TAILWIND_STEPS_PER_REM = 4;
+
+/**
+ * Fills missing or invalid format options with the defaults.
+ *
+ * @function normalizeFormat
+ * @param {object} format
+ * @returns {object} One value for each key of `DEFAULT_FORMAT`.
+ */
+export function normalizeFormat(format = {}) {
+  const decimals = parseInt(format?.decimals, 10);
+
+  return {
+    decimals: decimals >= 0 && decimals <= MAX_DECIMALS ? decimals : DEFAULT_FORMAT.decimals,
+    rounding: ROUNDING_MODES.some(mode => mode.value === format?.rounding)
+      ? format.rounding
+      : DEFAULT_FORMAT.rounding,
+    trimZeros: typeof format?.trimZeros === 'boolean' ? format.trimZeros : DEFAULT_FORMAT.trimZeros,
+    includeUnit: typeof format?.includeUnit === 'boolean' ? format.includeUnit : DEFAULT_FORMAT.includeUnit,
+    copyFormat: COPY_FORMATS.some(option => option.value === format?.copyFormat)
+      ? format.copyFormat
+      : DEFAULT_FORMAT.copyFormat,
+  };
+}
+
+/**
+ * Rounds a number to the given decimals with Math.round, floor or ceil.
+ * The product is cleaned first, so that 1.1 * 100 isn't rounded up to 111.
+ *
+ * @function roundTo
+ * @param {number} value
+ * @param {number} decimals
+ * @param {function(number): number} method - Math.round, Math.floor or Math.ceil.
+ * @returns {number}
+ */
+function roundTo(value, decimals, method) {
+  const factor = Math.pow(10, decimals);
+  return method(parseFloat((value * factor).toPrecision(12))) / factor;
+}
+
+/**
+ * Rounds a value expressed in a unit following the format options.
+ * The "snap" mode moves the value to the nearest multiple of the base unit.
+ *
+ * @function roundValue
+ * @param {number} value
+ * @param {string} unitKey - The unit of the value (e.g. 'REM').
+ * @param {object} format - See `DEFAULT_FORMAT`.
+ * @param {object} bases - The base values.
+ * @returns {number}
+ */
+export function roundValue(value, unitKey, format, bases) {
+  const { decimals, rounding } = format;
+
+  if (rounding === 'snap' && bases.baseUnit > 0) {
+    const unit = UNITS[unitKey];
+    const px = unit.toPx(value, bases);
+    const snapped = Math.round(px / bases.baseUnit) * bases.baseUnit;
+    return roundTo(unit.fromPx(snapped, bases), decimals, Math.round);
+  }
+
+  return roundTo(value, decimals, ROUNDING_METHODS[rounding] || Math.round);
+}
+
+/**
+ * Writes a rounded number with the decimals of the format.
+ *
+ * @function formatNumber
+ * @param {number} value
+ * @param {object} format - See `DEFAULT_FORMAT`.
+ * @returns {string}
+ */
+function formatNumber(value, { decimals, trimZeros }) {
+  // Avoid "-0" once rounded
+  const text = (value === 0 ? 0 : value).toFixed(decimals);
+  return trimZeros ? String(parseFloat(text)) : text;
+}
+
+/**
+ * Rounds and writes a number following the format options, for the values
+ * outside the `UNITS` registry (e.g. Android dp). Snapping needs a registry
+ * unit, so the "snap" mode rounds to the nearest here.
+ *
+ * @function formatPlainNumber
+ * @param {number} value
+ * @param {object} format - See `DEFAULT_FORMAT`.
+ * @returns {string} e.g. "1" or "1.000"
+ */
+export function formatPlainNumber(value, format) {
+  const rounded = roundTo(value, format.decimals, ROUNDING_METHODS[format.rounding] || Math.round);
+  return formatNumber(rounded, format);
+}
+
+/**
+ * Formats a converted value for display.
+ *
+ * @function formatValue
+ * @param {number} value
+ * @param {string} unitKey - The unit of the value (e.g. 'REM').
+ * @param {object} format - See `DEFAULT_FORMAT`.
+ * @param {object} bases - The base values.
+ * @returns {string} e.g. "1", "1.000" or "1rem"
+ */
+export function formatValue(value, unitKey, format, bases) {
+  const text = formatNumber(roundValue(value, unitKey, format, bases), format);
+  const suffix = UNITS[unitKey].suffix;
+  return format.includeUnit && suffix ? `${text}${suffix}` : text;
+}
+
+/**
+ * Writes a token index, replacing the dot that CSS names can't hold: 1.5 → 1-5.
+ *
+ * @function formatIndex
+ * @param {number} index
+ * @param {string} separator
+ * @returns {string}
+ */
+function formatIndex(index, separator) {
+  return String(parseFloat(index.toFixed(3))).replace('.', separator);
+}
+
+/**
+ * Formats a value for the clipboard.
+ *
+ * @function formatCopy
+ * @param {number} value
+ * @param {string} unitKey - The unit of the value (e.g. 'REM').
+ * @param {object} format - See `DEFAULT_FORMAT`, `copyFormat` selects the output.
+ * @param {object} bases - The base values.
+ * @returns {string} e.g. "1rem", "1", "--space-2: 1rem;" or "theme(spacing.4)"
+ */
+export function formatCopy(value, unitKey, format, bases) {
+  const unit = UNITS[unitKey];
+  const number = formatNumber(roundValue(value, unitKey, format, bases), format);
+  const withUnit = unit.suffix ? `${number}${unit.suffix}` : number;
+  const px = unit.toPx(value, bases);
+
+  switch (format.copyFormat) {
+    case 'number':
+      return number;
+    case 'property': {
+      // Named after the number of base units, e.g. 16px with an 8px base unit → --space-2
+      const name = bases.baseUnit > 0 ? `--space-${formatIndex(px / bases.baseUnit, '-')}` : '--space';
+      return `${name}: ${withUnit};`;
+    }
+    case 'tailwind': {
+      const step = bases.baseRem > 0 ? px / bases.baseRem * TAILWIND_STEPS_PER_REM : 0;
+      const index = formatIndex(step, '.');
+      return index.includes('.') ? `theme(spacing[${index}])` : `theme(spacing.${index})`;
+    }
+    default:
+      return withUnit;
+  }
+}
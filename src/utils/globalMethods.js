@@ -18,46 +18,48 @@ export function nullSafe(func, fallbackValue) {
 
 /**
  * Computes the content size of an element based on its styles.
- * Assumes box-sizing: border-box.
+ * The computed width/height already include padding and border when
+ * box-sizing is border-box, so they are removed in that case only.
  *
  * @function computeContentSize
- * @param {Object} styles - The CSS styles of the element.
+ * @param {CSSStyleDeclaration} styles - The computed styles of the element.
+ * @returns {{height: number, width: number, margin: object, padding: object}} Values in px.
  */
 export function computeContentSize(styles) {
-	// 1) Ricaviamo i valori numerici
+	// 1) Numeric values
 	const numericHeight = parseFloat(styles.height) || 0;
 	const numericWidth = parseFloat(styles.width) || 0;
-	const numericBorderTop = parseFloat(styles.borderTop) || 0;
-	const numericBorderBottom = parseFloat(styles.borderBottom) || 0;
-	const numericBorderLeft = parseFloat(styles.borderLeft) || 0;
-	const numericBorderRight = parseFloat(styles.borderRight) || 0;
+	const numericBorderTop = parseFloat(styles.borderTopWidth) || 0;
+	const numericBorderBottom = parseFloat(styles.borderBottomWidth) || 0;
+	const numericBorderLeft = parseFloat(styles.borderLeftWidth) || 0;
+	const numericBorderRight = parseFloat(styles.borderRightWidth) || 0;
 	const numericPaddingTop = parseFloat(styles.paddingTop) || 0;
 	const numericPaddingBottom = parseFloat(styles.paddingBottom) || 0;
 	const numericPaddingLeft = parseFloat(styles.paddingLeft) || 0;
 	const numericPaddingRight = parseFloat(styles.paddingRight) || 0;
 
-	// 2) Calcoliamo la content area (ipotizzando box-sizing: border-box)
-	const contentHeight = numericHeight
-		+ numericPaddingTop
-		+ numericPaddingBottom
-		+ numericBorderTop
-		+ numericBorderBottom;
-	const contentWidth = numericWidth
-		+ numericPaddingLeft
-		+ numericPaddingRight
-		+ numericBorderLeft
-		+ numericBorderRight;
+	// 2) Content area
+	let height = numericHeight;
+	let width = numericWidth;
 
-	const height = Math.floor(contentHeight);
-	const width = Math.floor(contentWidth);
+	if (styles.boxSizing === 'border-box') {
+		height -= numericPaddingTop
+			+ numericPaddingBottom
+			+ numericBorderTop
+			+ numericBorderBottom;
+		width -= numericPaddingLeft
+			+ numericPaddingRight
+			+ numericBorderLeft
+			+ numericBorderRight;
+	}
 
 	function formatValue(string) {
-		return string.replace('px', '');
+		return parseFloat(string) || 0;
 	}
 
 	return {
-		height,
-		width,
+		height: Math.max(height, 0),
+		width: Math.max(width, 0),
 		margin: {
 			top: formatValue(styles.marginTop),
 			right: formatValue(styles.marginRight),
@@ -65,11 +67,10 @@ export function computeContentSize(styles) {
 			left: formatValue(styles.marginLeft),
 		},
 		padding: {
-			top: formatValue(styles.paddingTop),
-			right: formatValue(styles.paddingRight),
-			bottom: formatValue(styles.paddingBottom),
-			left: formatValue(styles.paddingLeft),
+			top: numericPaddingTop,
+			right: numericPaddingRight,
+			bottom: numericPaddingBottom,
+			left: numericPaddingLeft,
 		},
 	};
 }
-
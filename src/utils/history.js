@@ -0,0 +1,219 @@
+/**
+ * @fileOverview
+ * History of the recent conversions.
+ *
+ * Entries are kept in local storage (the list is too big for the sync quotas).
+ * Every function working on the list is pure and returns a new list.
+ *
+ * Entries keep the raw result and its unit, written with the output format
+ * and the locale when shown or copied. Entries of older releases only have
+ * the text that was shown, `output`.
+ */
+
+import { readItem, writeItem, watchItem } from './storage';
+import { UNITS } from './converters';
+import { DEFAULT_FORMAT, formatValue, formatCopy } from './format';
+import { localizeNumber } from './i18n';
+
+export const HISTORY_KEY = 'history';
+
+// Unpinned entries kept, the pinned ones are never dropped
+export const MAX_HISTORY_ENTRIES = 50;
+
+/**
+ * Builds a history entry.
+ *
+ * @function buildEntry
+ * @param {object} conversion
+ * @param {string} conversion.conversion - The conversion in the typed direction (e.g. 'PX_REM').
+ * @param {string} conversion.input - The typed value or expression.
+ * @param {number} conversion.result - The converted value.
+ * @param {string} conversion.unitKey - The unit of the result (e.g. 'REM').
+ * @param {object} conversion.baseValues - The base values used.
+ * @returns {object}
+ */
+export function buildEntry({ conversion, input, result, unitKey, baseValues }) {
+  return {
+    id: crypto.randomUUID(),
+    conversion,
+    input: input.trim(),
+    result,
+    unitKey,
+    baseValues,
+    pinned: false,
+    createdAt: Date.now(),
+  };
+}
+
+/**
+ * Checks whether two entries describe the same conversion.
+ *
+ * @function isSameConversion
+ * @param {object} a
+ * @param {object} b
+ * @returns {boolean}
+ */
+function isSameConversion(a, b) {
+  return a.conversion === b.conversion
+    && a.input === b.input
+    && JSON.stringify(a.baseValues) === JSON.stringify(b.baseValues);
+}
+
+/**
+ * Adds an entry on top of the history. A previous identical conversion is moved
+ * on top (keeping its pin), and the oldest unpinned entries over the cap are dropped.
+ *
+ * @function addEntry
+ * @param {Array} entries
+ * @param {object} entry
+ * @returns {Array}
+ */
+export function addEntry(entries, entry) {
+  const previous = entries.find(item => isSameConversion(item, entry));
+  const others = entries.filter(item => item !== previous);
+  const next = [{ ...entry, pinned: previous ? previous.pinned : entry.pinned }, ...others];
+
+  let unpinned = 0;
+  return next.filter(item => item.pinned || ++unpinned <= MAX_HISTORY_ENTRIES);
+}
+
+/**
+ * Pins or unpins an entry.
+ *
+ * @function togglePin
+ * @param {Array} entries
+ * @param {string} id
+ * @returns {Array}
+ */
+export function togglePin(entries, id) {
+  return entries.map(entry => (
+    entry.id === id ? { ...entry, pinned: !entry.pinned } : entry
+  ));
+}
+
+/**
+ * Removes an entry.
+ *
+ * @function removeEntry
+ * @param {Array} entries
+ * @param {string} id
+ * @returns {Array}
+ */
+export function removeEntry(entries, id) {
+  return entries.filter(entry => entry.id !== id);
+}
+
+/**
+ * Removes every unpinned entry.
+ *
+ * @function clearEntries
+ * @param {Array} entries
+ * @returns {Array}
+ */
+export function clearEntries(entries) {
+  return entries.filter(entry => entry.pinned);
+}
+
+/**
+ * Writes the result of an entry for display, without localizing it.
+ *
+ * @function formatEntryOutput
+ * @param {object} entry
+ * @param {object} format - See `DEFAULT_FORMAT`.
+ * @returns {string} e.g. "1.5"
+ */
+export function formatEntryOutput(entry, format) {
+  if (entry.result === undefined) return entry.output;
+  return formatValue(entry.result, entry.unitKey, format, entry.baseValues);
+}
+
+/**
+ * Writes the result of an entry for the clipboard, in the copy format.
+ *
+ * @function formatEntryCopy
+ * @param {object} entry
+ * @param {object} format - See `DEFAULT_FORMAT`.
+ * @returns {string} e.g. "1.5rem"
+ */
+export function formatEntryCopy(entry, format) {
+  if (entry.result === undefined) return entry.output;
+  return formatCopy(entry.result, entry.unitKey, format, entry.baseValues);
+}
+
+/**
+ * Filters the entries matching a search text (input, output or units),
+ * pinned entries first.
+ *
+ * @function searchEntries
+ * @param {Array} entries
+ * @param {string} query
+ * @param {object} format - See `DEFAULT_FORMAT`, writes the results.
+ * @returns {Array}
+ */
+export function searchEntries(entries, query = '', format = DEFAULT_FORMAT) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+  const matches = entries.filter(entry => {
+    const output = localizeNumber(formatEntryOutput(entry, format));
+    const text = `${entry.input} ${output} ${entry.conversion.replace('_', ' ')}`.toLowerCase();
+    return terms.every(term => text.includes(term));
+  });
+
+  return [
+    ...matches.filter(entry => entry.pinned),
+    ...matches.filter(entry => !entry.pinned),
+  ];
+}
+
+/**
+ * Keeps only the well formed entries of a stored list.
+ *
+ * @function normalizeHistory
+ * @param {*} stored
+ * @returns {Array}
+ */
+export function normalizeHistory(stored) {
+  if (!Array.isArray(stored)) return [];
+
+  return stored.filter(entry => (
+    entry
+    && typeof entry.id === 'string'
+    && typeof entry.conversion === 'string'
+    && typeof entry.input === 'string'
+    && ((Number.isFinite(entry.result) && entry.unitKey in UNITS) || typeof entry.output === 'string')
+  ));
+}
+
+/**
+ * Loads the history.
+ *
+ * @async
+ * @function loadHistory
+ * @returns {Promise<Array>}
+ */
+export async function loadHistory() {
+  return normalizeHistory(await readItem(HISTORY_KEY, 'local'));
+}
+
+/**
+ * Persists the history.
+ *
+ * @async
+ * @function saveHistory
+ * @param {Array} entries
+ * @returns {Promise<void>}
+ */
+export function saveHistory(entries) {
+  return writeItem(HISTORY_KEY, entries, 'local');
+}
+
+/**
+ * Listens for history changes made by other extension pages.
+ *
+ * @function subscribeHistory
+ * @param {function(Array): void} callback
+ * @returns {function(): void} A function that removes the listener.
+ */
+export function subscribeHistory(callback) {
+  return watchItem(HISTORY_KEY, value => callback(normalizeHistory(value)), 'local');
+}
@@ -0,0 +1,138 @@
+/**
+ * @fileOverview
+ * Localization. UI strings live in `src/_locales/<locale>/messages.json`
+ * (Chrome's i18n format) and are copied to the extension at build time.
+ * Outside of the extension (dev server), the English messages are used.
+ *
+ * Numbers are shown with the decimal separator of the user's locale, and the
+ * fields accept it back. Values copied to the clipboard always keep the `.`
+ * that CSS expects.
+ */
+
+import fallbackMessages from '../_locales/en/messages.json';
+
+/**
+ * Resolves a message of the English catalog, the way `chrome.i18n` does:
+ * named placeholders ($UNIT$) first, then positional substitutions ($1).
+ *
+ * @function getFallbackMessage
+ * @param {string} key
+ * @param {string[]} substitutions
+ * @returns {string}
+ */
+function getFallbackMessage(key, substitutions) {
+  const entry = fallbackMessages[key];
+  if (!entry) return '';
+
+  return entry.message
+    .replace(/\$(\w+)\$/g, (match, name) => entry.placeholders?.[name.toLowerCase()]?.content ?? match)
+    .replace(/\$(\d)/g, (match, index) => substitutions[index - 1] ?? '');
+}
+
+/**
+ * Returns the localized message for a key.
+ *
+ * @function getMessage
+ * @param {string} key - A key of `messages.json`.
+ * @param {Array<string|number>} substitutions - Values of the placeholders, in order.
+ * @returns {string}
+ */
+export function getMessage(key, substitutions = []) {
+  const values = substitutions.map(String);
+
+  if (typeof chrome !== 'undefined' && chrome.i18n?.getMessage) {
+    const message = chrome.i18n.getMessage(key, values);
+    if (message) return message;
+  }
+
+  return getFallbackMessage(key, values);
+}
+
+/**
+ * Returns the language of the browser UI, e.g. 'it' or 'en-US'.
+ *
+ * @function getLocale
+ * @returns {string}
+ */
+export function getLocale() {
+  if (typeof chrome !== 'undefined' && chrome.i18n?.getUILanguage) {
+    return chrome.i18n.getUILanguage();
+  }
+
+  return typeof navigator !== 'undefined' ? navigator.language : 'en';
+}
+
+/**
+ * Returns the decimal and group separators of a locale.
+ *
+ * @function getNumberSeparators
+ * @param {string} locale
+ * @returns {{decimal: string, group: string}}
+ */
+export function getNumberSeparators(locale = getLocale()) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+
+  return {
+    decimal: parts.find(part => part.type === 'decimal')?.value || '.',
+    group: parts.find(part => part.type === 'group')?.value || ',',
+  };
+}
+
+/**
+ * Writes the numbers of a text with the decimal separator of the locale,
+ * e.g. "1.5rem" → "1,5rem" in Italian.
+ *
+ * @function localizeNumber
+ * @param {string} text
+ * @param {string} locale
+ * @returns {string}
+ */
+export function localizeNumber(text, locale = getLocale()) {
+  const { decimal } = getNumberSeparators(locale);
+  return decimal === '.' ? text : text.replace(/(\d)\.(\d)/g, `$1${decimal}$2`);
+}
+
+/**
+ * Formats a number in the locale, without group separators.
+ *
+ * @function formatLocaleNumber
+ * @param {number} value
+ * @param {number} maximumFractionDigits
+ * @param {string} locale
+ * @returns {string}
+ */
+export function formatLocaleNumber(value, maximumFractionDigits = 3, locale = getLocale()) {
+  if (!Number.isFinite(value)) return '—';
+
+  return new Intl.NumberFormat(locale, { maximumFractionDigits, useGrouping: false }).format(value);
+}
+
+/**
+ * Turns the numbers typed in the locale back to the `.` notation of the parser.
+ *
+ * A separator followed by exactly 3 digits is read as a group separator when
+ * it is the group separator of the locale ("1,000" in English, "1.000,5" in
+ * Italian), any other comma is a decimal separator ("1,5" everywhere).
+ *
+ * @function normalizeNumberInput
+ * @param {string} text
+ * @param {string} locale
+ * @returns {string}
+ */
+export function normalizeNumberInput(text, locale = getLocale()) {
+  const { decimal } = getNumberSeparators(locale);
+
+  // Spaces used as group separators (e.g. "1 000" in French)
+  let normalized = text.replace(/(\d)[\u00a0\u202f](?=\d{3}(?!\d))/g, '$1');
+
+  if (decimal === ',') {
+    // A dot is a group separator only next to a decimal comma: "1.000,5"
+    if (normalized.includes(',')) {
+      normalized = normalized.replace(/(\d)\.(?=\d{3}(?!\d))/g, '$1');
+    }
+  } else {
+    normalized = normalized.replace(/(\d),(?=\d{3}(?!\d))/g, '$1');
+  }
+
+  return normalized.replace(/,/g, '.');
+}
@@ -0,0 +1,101 @@
+/**
+ * @fileOverview
+ * Box metrics of the element picked in the page (or selected in the DevTools
+ * Elements panel), converted to every unit.
+ *
+ * The element is measured in px (see `src/content/picker.js` and `@utils/devtools`),
+ * the conversions are done here with the same functions used by the popup.
+ */
+
+import { directConversion } from './converters';
+import { readItem, writeItem } from './storage';
+
+// The last inspection is kept in local storage, so it is shown when the popup is reopened
+export const INSPECTION_KEY = 'inspection';
+
+/**
+ * Returns the rows of the inspection table: one row per box metric,
+ * with the px value and the axis used for the % conversion.
+ *
+ * @function getInspectionRows
+ * @param {object} inspection - The object built by the content script.
+ * @returns {Array<{label: string, px: number, axis: 'width'|'height'|'font'}>}
+ */
+export function getInspectionRows({ width, height, margin, padding, fontSize }) {
+  const sides = ['top', 'right', 'bottom', 'left'];
+
+  return [
+    { label: 'width', px: width, axis: 'width' },
+    { label: 'height', px: height, axis: 'height' },
+    // Percentages of margin and padding always refer to the containing block width
+    ...sides.map(side => ({ label: `margin-${side}`, px: margin[side], axis: 'width' })),
+    ...sides.map(side => ({ label: `padding-${side}`, px: padding[side], axis: 'width' })),
+    // Missing from the inspections stored by older releases
+    ...(fontSize === undefined ? [] : [{ label: 'font-size', px: fontSize, axis: 'font' }]),
+  ];
+}
+
+/**
+ * Converts a px metric of the inspected element to every unit.
+ *
+ * @function convertMetric
+ * @param {number} px - The value in px.
+ * @param {'width'|'height'|'font'} axis - The containing block side used for %,
+ * 'font' for the parent font size.
+ * @param {object} inspection - The object built by the content script.
+ * @param {object} baseValues - The active base values (for the base unit).
+ * @returns {{px: number, rem: number, em: number, pct: number, base: number}}
+ */
+export function convertMetric(px, axis, inspection, { baseUnit }) {
+  const reference = axis === 'font' ? inspection.parentFontSize : inspection.containingBlock[axis];
+
+  return {
+    px,
+    rem: directConversion('PX_REM', px, { baseRem: inspection.rootFontSize }),
+    em: directConversion('PX_EM', px, { baseEm: inspection.parentFontSize }),
+    pct: directConversion('PX_PCT', px, { containerWidth: reference }),
+    base: directConversion('PX_BASE', px, { baseUnit }),
+  };
+}
+
+/**
+ * Converts a px metric to every unit with the active base values only,
+ * as the converter does.
+ *
+ * @function convertMetricWithBases
+ * @param {number} px - The value in px.
+ * @param {object} baseValues - The active base values.
+ * @returns {{px: number, rem: number, em: number, pct: number, base: number}}
+ */
+export function convertMetricWithBases(px, baseValues) {
+  return {
+    px,
+    rem: directConversion('PX_REM', px, baseValues),
+    em: directConversion('PX_EM', px, baseValues),
+    pct: directConversion('PX_PCT', px, baseValues),
+    base: directConversion('PX_BASE', px, baseValues),
+  };
+}
+
+/**
+ * Loads the last inspection.
+ *
+ * @async
+ * @function loadInspection
+ * @returns {Promise<object|undefined>}
+ */
+export function loadInspection() {
+  return readItem(INSPECTION_KEY, 'local');
+}
+
+/**
+ * Stores the last inspection.
+ *
+ * @async
+ * @function saveInspection
+ * @param {object} inspection
+ * @returns {Promise<void>}
+ */
+export function saveInspection(inspection) {
+  return writeItem(INSPECTION_KEY, inspection, 'local');
+}
@@ -0,0 +1,47 @@
+/**
+ * @fileOverview
+ * Opt-in preview of the results in the context menu ("Converto: 1.5rem").
+ *
+ * Chrome has no event before the menu opens: a content script registered in
+ * every page reports the selected text to the service worker, which writes the
+ * results in the menu titles. Reading the pages needs access to every website,
+ * an optional permission requested only when the user enables the preview.
+ */
+
+export const PREVIEW_ORIGINS = ['<all_urls>'];
+
+/**
+ * Checks whether the permissions API is reachable from the current context.
+ *
+ * @function canPreviewMenu
+ * @returns {boolean}
+ */
+export function canPreviewMenu() {
+  return typeof chrome !== 'undefined' && !!chrome.permissions;
+}
+
+/**
+ * Checks whether the preview is enabled, i.e. the permission granted.
+ *
+ * @async
+ * @function isMenuPreviewEnabled
+ * @returns {Promise<boolean>}
+ */
+export function isMenuPreviewEnabled() {
+  return chrome.permissions.contains({ origins: PREVIEW_ORIGINS });
+}
+
+/**
+ * Enables or disables the preview. Enabling asks for the permission, so it
+ * must run in a user gesture handler.
+ *
+ * @async
+ * @function setMenuPreviewEnabled
+ * @param {boolean} enabled
+ * @returns {Promise<boolean>} Whether the permission was granted or removed.
+ */
+export function setMenuPreviewEnabled(enabled) {
+  return enabled
+    ? chrome.permissions.request({ origins: PREVIEW_ORIGINS })
+    : chrome.permissions.remove({ origins: PREVIEW_ORIGINS });
+}
@@ -0,0 +1,130 @@
+/**
+ * @fileOverview
+ * Messaging between the extension pages (popup) and the content script
+ * injected in the active tab.
+ *
+ * The content script is not declared in the manifest: it is injected on demand
+ * with `chrome.scripting`, so that the extension only needs the `activeTab`
+ * permission instead of access to every website.
+ */
+
+import { getMessage } from './i18n';
+
+export const CONTENT_SCRIPT_PATH = 'assets/content.js';
+
+export const MESSAGE_TYPES = {
+  GET_PAGE_METRICS: 'converto/get-page-metrics',
+  START_PICKER: 'converto/start-picker',
+  PICKER_RESULT: 'converto/picker-result',
+  COPY_TEXT: 'converto/copy-text',
+  AUDIT_PAGE: 'converto/audit-page',
+  // Written out in `src/content/selection.js`, which can't import this module
+  SELECTION_CHANGED: 'converto/selection-changed',
+};
+
+/**
+ * Error raised when the active tab can't be reached (dev server,
+ * restricted pages like chrome:// or the Chrome Web Store).
+ */
+export class TabUnavailableError extends Error {
+  constructor(message = getMessage('errorPageUnavailable')) {
+    super(message);
+    this.name = 'TabUnavailableError';
+  }
+}
+
+/**
+ * Returns the active tab of the current window.
+ *
+ * @async
+ * @function getActiveTab
+ * @returns {Promise<chrome.tabs.Tab>}
+ */
+export async function getActiveTab() {
+  if (typeof chrome === 'undefined' || !chrome.tabs || !chrome.scripting) {
+    throw new TabUnavailableError(getMessage('errorExtensionOnly'));
+  }
+
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab || tab.id === undefined) throw new TabUnavailableError();
+
+  return tab;
+}
+
+/**
+ * Injects the content script in the given tab.
+ * The script is loaded as an ES module, so injecting it twice is a no-op.
+ * Its URL is resolved in the tab: the chunks are only web accessible through
+ * the dynamic URL that `getURL` returns in content scripts.
+ *
+ * @async
+ * @function injectContentScript
+ * @param {number} tabId
+ * @returns {Promise<void>}
+ */
+export async function injectContentScript(tabId) {
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: async (scriptPath) => {
+        await import(chrome.runtime.getURL(scriptPath));
+      },
+      args: [CONTENT_SCRIPT_PATH],
+    });
+  } catch (error) {
+    throw new TabUnavailableError(error.message);
+  }
+}
+
+/**
+ * Sends a message to the content script of the active tab, injecting it first.
+ *
+ * @async
+ * @function sendToActiveTab
+ * @param {{type: string}} message
+ * @returns {Promise<*>} The content script response.
+ */
+export async function sendToActiveTab(message) {
+  const tab = await getActiveTab();
+  await injectContentScript(tab.id);
+
+  const response = await chrome.tabs.sendMessage(tab.id, message);
+  if (response && response.error) throw new Error(response.error);
+
+  return response;
+}
+
+/**
+ * Reads the root font-size and the widths of the page in the active tab.
+ *
+ * @async
+ * @function getPageMetrics
+ * @returns {Promise<{rootFontSize: number, viewportWidth: number, bodyWidth: number}>}
+ */
+export function getPageMetrics() {
+  return sendToActiveTab({ type: MESSAGE_TYPES.GET_PAGE_METRICS });
+}
+
+/**
+ * Starts the element picker in the active tab.
+ * The result is sent back with a `PICKER_RESULT` message.
+ *
+ * @async
+ * @function startElementPicker
+ * @returns {Promise<void>}
+ */
+export async function startElementPicker() {
+  await sendToActiveTab({ type: MESSAGE_TYPES.START_PICKER });
+}
+
+/**
+ * Audits the spacing and sizing values of the page in the active tab.
+ *
+ * @async
+ * @function auditActivePage
+ * @param {number} baseUnit - The grid step, in px.
+ * @returns {Promise<object>} The report (see `auditPage` in the content script).
+ */
+export function auditActivePage(baseUnit) {
+  return sendToActiveTab({ type: MESSAGE_TYPES.AUDIT_PAGE, baseUnit });
+}
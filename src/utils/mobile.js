@@ -0,0 +1,167 @@
+/**
+ * @fileOverview
+ * Native mobile units, next to the CSS ones of the `UNITS` registry:
+ * Android dp and sp, iOS points, and the physical pixels of the density buckets.
+ *
+ * 1 CSS px, 1dp and 1pt (iOS) are the same length: a pixel at the reference
+ * density (mdpi on Android, @1x on iOS). Physical pixels multiply it by the
+ * density of the bucket, sp by the font scale of the Android accessibility
+ * settings. Like `UNITS`, every unit converts through CSS px.
+ */
+
+import { UNITS } from './converters';
+import { evaluateExpression, evaluateLength, tokenize } from './expression';
+import { formatPlainNumber } from './format';
+
+export const DEFAULT_FONT_SCALE = 1;
+
+// Density buckets, from the Android and iOS design guidelines
+export const DENSITY_BUCKETS = [
+  { key: 'MDPI', label: 'mdpi', platform: 'Android', density: 1 },
+  { key: 'HDPI', label: 'hdpi', platform: 'Android', density: 1.5 },
+  { key: 'XHDPI', label: 'xhdpi', platform: 'Android', density: 2 },
+  { key: 'XXHDPI', label: 'xxhdpi', platform: 'Android', density: 3 },
+  { key: 'XXXHDPI', label: 'xxxhdpi', platform: 'Android', density: 4 },
+  { key: 'IOS_1X', label: '@1x', platform: 'iOS', density: 1 },
+  { key: 'IOS_2X', label: '@2x', platform: 'iOS', density: 2 },
+  { key: 'IOS_3X', label: '@3x', platform: 'iOS', density: 3 },
+];
+
+/**
+ * Builds the registry entry of the physical pixels of a density bucket.
+ * @param {{label: string, platform: string, density: number}} bucket
+ * @returns {object}
+ */
+function densityUnit({ label, platform, density }) {
+  return {
+    label: `${label} px`,
+    platform,
+    suffix: 'px',
+    bases: [],
+    toPx: value => value / density,
+    fromPx: px => px * density,
+  };
+}
+
+/**
+ * Registry of the mobile units, shaped like `UNITS`.
+ * The sp need the `fontScale` base value, e.g. 1.3 for the largest Android text.
+ *
+ * @type {Object<string, {label: string, platform: string, suffix: string, bases: string[], toPx: function, fromPx: function}>}
+ */
+export const MOBILE_UNITS = {
+  DP: {
+    label: 'dp',
+    platform: 'Android',
+    suffix: 'dp',
+    bases: [],
+    toPx: value => value,
+    fromPx: px => px,
+  },
+  SP: {
+    label: 'sp',
+    platform: 'Android',
+    suffix: 'sp',
+    bases: ['fontScale'],
+    toPx: (value, { fontScale }) => value * fontScale,
+    fromPx: (px, { fontScale }) => px / fontScale,
+  },
+  IOS_PT: {
+    label: 'pt',
+    platform: 'iOS',
+    // Points are plain numbers in Swift and UIKit
+    suffix: '',
+    bases: [],
+    toPx: value => value,
+    fromPx: px => px,
+  },
+  ...Object.fromEntries(DENSITY_BUCKETS.map(bucket => [bucket.key, densityUnit(bucket)])),
+};
+
+// Units of the mobile suffixes of the field. In this mode `pt` are iOS points,
+// not the CSS points of `UNITS`
+const MOBILE_SUFFIXES = { dp: 'DP', sp: 'SP', pt: 'IOS_PT' };
+
+// A number followed by a mobile suffix, e.g. "16dp", written like the numbers of `tokenize`
+const MOBILE_LENGTH_PATTERN = /(?<![\w.])(\d+\.?\d*|\.\d+)(dp|sp|pt)\b/gi;
+
+// Units of the results table, in order: CSS px first, then one group per platform
+export const MOBILE_TARGETS = ['PX', 'DP', 'SP', 'MDPI', 'HDPI', 'XHDPI', 'XXHDPI', 'XXXHDPI', 'IOS_PT', 'IOS_1X', 'IOS_2X', 'IOS_3X'];
+
+/**
+ * Returns the registry entry of a mobile or CSS unit.
+ *
+ * @function getMobileUnit
+ * @param {string} key - e.g. 'DP' or 'PX'
+ * @returns {object|undefined}
+ */
+export function getMobileUnit(key) {
+  if (key in MOBILE_UNITS) return MOBILE_UNITS[key];
+  return UNITS[key] && { ...UNITS[key], platform: 'CSS' };
+}
+
+/**
+ * Converts a value between mobile and CSS units, through CSS px.
+ *
+ * @function convertMobile
+ * @param {number} value - The number to convert.
+ * @param {string} from - The source unit key (e.g. 'DP' or 'REM').
+ * @param {string} to - The target unit key (e.g. 'XXHDPI').
+ * @param {object} bases - The base values, with `fontScale`.
+ * @returns {number} The converted result.
+ */
+export function convertMobile(value, from, to, bases) {
+  const source = getMobileUnit(from);
+  const target = getMobileUnit(to);
+  if (!source || !target) return 0;
+  if (from === to) return value;
+
+  return target.fromPx(source.toPx(value, bases), bases);
+}
+
+/**
+ * Evaluates the text of the mobile field. Mobile lengths (`16dp`, `24sp`,
+ * `12pt` for iOS points) are written in px first, then CSS lengths
+ * (e.g. `1.5rem`) go through the expression parser like in the converter.
+ * Bare numbers are in the unit of the field; an expression with lengths
+ * must give a length (`16dp / 8dp` is rejected).
+ *
+ * @function evaluateMobileValue
+ * @param {string} text - The text typed by the user, with a `.` decimal separator.
+ * @param {string} unitKey - The unit of the field (e.g. 'DP').
+ * @param {object} bases - The base values, with `fontScale`.
+ * @returns {number|null} The value in CSS px (NaN for sp with an invalid font scale),
+ * or null when the text is empty.
+ * @throws {ExpressionError} When the expression is invalid.
+ */
+export function evaluateMobileValue(text, unitKey, bases) {
+  let valid = true;
+  const cssText = text.replace(MOBILE_LENGTH_PATTERN, (match, number, suffix) => {
+    const px = convertMobile(parseFloat(number), MOBILE_SUFFIXES[suffix.toLowerCase()], 'PX', bases);
+    // An invalid font scale makes sp meaningless
+    if (!Number.isFinite(px)) valid = false;
+    return `${px}px`;
+  });
+
+  if (!valid) return NaN;
+
+  if (tokenize(cssText).some(token => token.unit)) return evaluateLength(cssText, bases);
+
+  const value = evaluateExpression(cssText, 'PX', bases);
+  return value === null ? null : convertMobile(value, unitKey, 'PX', bases);
+}
+
+/**
+ * Formats a mobile value for the clipboard, e.g. "16dp" or "24" (iOS points).
+ *
+ * @function formatMobileCopy
+ * @param {number} value
+ * @param {string} unitKey - e.g. 'SP'
+ * @param {object} format - See `DEFAULT_FORMAT`: "number" copies the number alone,
+ * the other copy formats the number and its unit.
+ * @returns {string}
+ */
+export function formatMobileCopy(value, unitKey, format) {
+  const number = formatPlainNumber(value, format);
+  return format.copyFormat === 'number' ? number : `${number}${getMobileUnit(unitKey).suffix || ''}`;
+}
@@ -0,0 +1,166 @@
+/**
+ * @fileOverview
+ * Named base values profiles (one per project or design system).
+ *
+ * Every function is pure: it receives the current settings and returns the
+ * part of the settings to update ({ profiles, activeProfileId }), so that it
+ * can be passed straight to `updateSettings`.
+ */
+
+import { DEFAULT_BASE_VALUES, normalizeBaseValues } from './settings';
+import { getMessage } from './i18n';
+
+/**
+ * Builds a new profile object.
+ *
+ * @function buildProfile
+ * @param {string} name - The profile name.
+ * @param {object} baseValues - The base values bundled in the profile.
+ * @param {string} id - Optional id, generated when missing.
+ * @returns {{id: string, name: string, baseValues: object}}
+ */
+export function buildProfile(name, baseValues = DEFAULT_BASE_VALUES, id = crypto.randomUUID()) {
+  return {
+    id,
+    name,
+    baseValues: normalizeBaseValues(baseValues),
+  };
+}
+
+/**
+ * Returns the active profile, falling back to the first one.
+ *
+ * @function getActiveProfile
+ * @param {object} settings
+ * @returns {{id: string, name: string, baseValues: object}}
+ */
+export function getActiveProfile({ profiles, activeProfileId }) {
+  return profiles.find(profile => profile.id === activeProfileId) || profiles[0];
+}
+
+/**
+ * Returns a name not used by any other profile, e.g. "Profile 2".
+ *
+ * @function getAvailableName
+ * @param {Array} profiles
+ * @param {string} prefix
+ * @returns {string}
+ */
+function getAvailableName(profiles, prefix) {
+  const names = new Set(profiles.map(profile => profile.name));
+  if (!names.has(prefix)) return prefix;
+
+  let index = 2;
+  while (names.has(`${prefix} ${index}`)) index++;
+  return `${prefix} ${index}`;
+}
+
+/**
+ * Creates a profile with the default base values and activates it.
+ *
+ * @function createProfile
+ * @param {object} settings
+ * @param {string} name - Optional name, generated when missing.
+ * @returns {{profiles: Array, activeProfileId: string}}
+ */
+export function createProfile(settings, name) {
+  const profile = buildProfile(name || getAvailableName(settings.profiles, getMessage('profileDefaultName')));
+
+  return {
+    profiles: [...settings.profiles, profile],
+    activeProfileId: profile.id,
+  };
+}
+
+/**
+ * Creates a copy of the given profile and activates it.
+ *
+ * @function duplicateProfile
+ * @param {object} settings
+ * @param {string} id - The profile to copy.
+ * @returns {{profiles: Array, activeProfileId: string}}
+ */
+export function duplicateProfile(settings, id) {
+  const source = settings.profiles.find(profile => profile.id === id);
+  if (!source) return {};
+
+  const profile = buildProfile(
+    getAvailableName(settings.profiles, getMessage('profileCopyName', [source.name])),
+    source.baseValues
+  );
+
+  return {
+    profiles: [...settings.profiles, profile],
+    activeProfileId: profile.id,
+  };
+}
+
+/**
+ * Renames the given profile.
+ *
+ * @function renameProfile
+ * @param {object} settings
+ * @param {string} id
+ * @param {string} name
+ * @returns {{profiles: Array}}
+ */
+export function renameProfile(settings, id, name) {
+  return {
+    profiles: settings.profiles.map(profile => (
+      profile.id === id ? { ...profile, name } : profile
+    )),
+  };
+}
+
+/**
+ * Deletes the given profile. The last remaining profile cannot be deleted.
+ * When the active profile is removed, the first one left becomes active.
+ *
+ * @function deleteProfile
+ * @param {object} settings
+ * @param {string} id
+ * @returns {{profiles: Array, activeProfileId: string}}
+ */
+export function deleteProfile(settings, id) {
+  if (settings.profiles.length <= 1) return {};
+
+  const profiles = settings.profiles.filter(profile => profile.id !== id);
+  const activeProfileId = settings.activeProfileId === id
+    ? profiles[0].id
+    : settings.activeProfileId;
+
+  return { profiles, activeProfileId };
+}
+
+/**
+ * Activates the given profile.
+ *
+ * @function selectProfile
+ * @param {object} settings
+ * @param {string} id
+ * @returns {{activeProfileId: string}}
+ */
+export function selectProfile(settings, id) {
+  if (!settings.profiles.some(profile => profile.id === id)) return {};
+  return { activeProfileId: id };
+}
+
+/**
+ * Updates some base values of the active profile.
+ *
+ * @function updateActiveBaseValues
+ * @param {object} settings
+ * @param {object} values - The base values to change.
+ * @returns {{profiles: Array}}
+ */
+export function updateActiveBaseValues(settings, values) {
+  const active = getActiveProfile(settings);
+
+  return {
+    profiles: settings.profiles.map(profile => (
+      profile.id === active.id
+        ? { ...profile, baseValues: { ...profile.baseValues, ...values } }
+        : profile
+    )),
+  };
+}
@@ -0,0 +1,154 @@
+/**
+ * @fileOverview
+ * Modular type scales and linear spacing scales, and their export
+ * as CSS custom properties, SCSS map, JS object or Tailwind theme snippet.
+ */
+
+import { getMessage } from './i18n';
+
+// Common modular scale ratios
+export const RATIOS = [
+  { value: '1.067', label: `${getMessage('ratioMinorSecond')} (1.067)` },
+  { value: '1.125', label: `${getMessage('ratioMajorSecond')} (1.125)` },
+  { value: '1.2', label: `${getMessage('ratioMinorThird')} (1.2)` },
+  { value: '1.25', label: `${getMessage('ratioMajorThird')} (1.25)` },
+  { value: '1.333', label: `${getMessage('ratioPerfectFourth')} (1.333)` },
+  { value: '1.414', label: `${getMessage('ratioAugmentedFourth')} (1.414)` },
+  { value: '1.5', label: `${getMessage('ratioPerfectFifth')} (1.5)` },
+  { value: '1.618', label: `${getMessage('ratioGoldenRatio')} (1.618)` },
+];
+
+export const DEFAULT_SPACING_MULTIPLIERS = [0.5, 1, 1.5, 2, 3, 4, 5, 6, 8, 10, 12];
+
+export const EXPORT_FORMATS = [
+  { value: 'css', label: 'CSS' },
+  { value: 'scss', label: 'SCSS' },
+  { value: 'js', label: 'JS' },
+  { value: 'tailwind', label: 'Tailwind' },
+];
+
+// Names used by each export format, per scale kind
+const SCALE_NAMES = {
+  type: { css: 'font-size', scss: 'font-sizes', js: 'fontSizes', tailwind: 'fontSize' },
+  spacing: { css: 'space', scss: 'spacing', js: 'spacing', tailwind: 'spacing' },
+};
+
+/**
+ * Returns a number with at most 3 decimals and no trailing zeros.
+ *
+ * @function round
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+  return parseFloat(value.toFixed(3));
+}
+
+/**
+ * Builds a modular type scale: each step is the previous one times the ratio.
+ *
+ * @function buildTypeScale
+ * @param {object} options
+ * @param {number} options.base - The size of step 0, in px.
+ * @param {number} options.ratio - e.g. 1.25
+ * @param {number} options.stepsUp - Number of steps bigger than the base.
+ * @param {number} options.stepsDown - Number of steps smaller than the base.
+ * @returns {Array<{name: string, px: number}>} From the smallest to the biggest step.
+ */
+export function buildTypeScale({ base, ratio, stepsUp, stepsDown }) {
+  const steps = [];
+
+  for (let step = -stepsDown; step <= stepsUp; step++) {
+    steps.push({
+      name: `step-${step}`,
+      px: base * Math.pow(ratio, step),
+    });
+  }
+
+  return steps;
+}
+
+/**
+ * Builds a linear spacing scale from the base unit.
+ *
+ * @function buildSpacingScale
+ * @param {number} baseUnit - The size of 1 step, in px.
+ * @param {number[]} multipliers - e.g. [0.5, 1, 2]
+ * @returns {Array<{name: string, px: number}>}
+ */
+export function buildSpacingScale(baseUnit, multipliers = DEFAULT_SPACING_MULTIPLIERS) {
+  return [...new Set(multipliers)]
+    .sort((a, b) => a - b)
+    .map(multiplier => ({
+      name: String(multiplier),
+      px: baseUnit * multiplier,
+    }));
+}
+
+/**
+ * Parses a comma separated list of multipliers, ignoring invalid entries.
+ *
+ * @function parseMultipliers
+ * @param {string} text - e.g. "0.5, 1, 2"
+ * @returns {number[]}
+ */
+export function parseMultipliers(text) {
+  return text
+    .split(/[\s,;]+/)
+    .map(value => parseFloat(value))
+    .filter(value => Number.isFinite(value) && value >= 0);
+}
+
+/**
+ * Exports a scale as code.
+ *
+ * @function exportScale
+ * @param {Array<{name: string, px: number}>} scale
+ * @param {object} options
+ * @param {'type'|'spacing'} options.kind - The kind of scale, used to name the tokens.
+ * @param {'css'|'scss'|'js'|'tailwind'} options.format
+ * @param {'px'|'rem'} options.unit - The unit of the exported values.
+ * @param {number} options.baseRem - The number of px in 1rem.
+ * @returns {string}
+ */
+export function exportScale(scale, { kind, format, unit, baseRem }) {
+  const names = SCALE_NAMES[kind];
+  const entries = scale.map(({ name, px }) => [
+    name,
+    `${round(unit === 'rem' ? px / baseRem : px)}${unit}`,
+  ]);
+
+  switch (format) {
+    case 'css':
+      return [
+        ':root {',
+        // Dots would need escaping in custom property names: 0.5 → 0-5
+        ...entries.map(([name, value]) => `  --${names.css}-${name.replace('.', '-')}: ${value};`),
+        '}',
+      ].join('\n');
+    case 'scss':
+      return [
+        `$${names.scss}: (`,
+        ...entries.map(([name, value]) => `  '${name}': ${value},`),
+        ');',
+      ].join('\n');
+    case 'js':
+      return [
+        `export const ${names.js} = {`,
+        ...entries.map(([name, value]) => `  '${name}': '${value}',`),
+        '};',
+      ].join('\n');
+    case 'tailwind':
+      return [
+        'theme: {',
+        '  extend: {',
+        `    ${names.tailwind}: {`,
+        ...entries.map(([name, value]) => `      '${name}': '${value}',`),
+        '    },',
+        '  },',
+        '},',
+      ].join('\n');
+    default:
+      return '';
+  }
+}
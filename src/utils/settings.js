@@ -0,0 +1,229 @@
+/**
+ * @fileOverview
+ * Persisted user settings: base values profiles, the last used conversion,
+ * the output format, whether the conversion history is recorded and the
+ * selected design token set.
+ *
+ * Settings are stored as a single versioned object under `SETTINGS_KEY`.
+ * Every time the stored shape changes, `SETTINGS_VERSION` is bumped and a
+ * migration step is added to `migrations`, so that values saved by an older
+ * release are upgraded on load instead of being discarded.
+ */
+
+import { readItem, writeItem, watchItem } from './storage';
+import { isValidConversion } from './converters';
+import { DEFAULT_FORMAT, normalizeFormat } from './format';
+
+export const SETTINGS_KEY = 'settings';
+export const SETTINGS_VERSION = 2;
+
+export const DEFAULT_BASE_VALUES = {
+  baseRem: 16,          // 1rem = 16px
+  baseEm: 16,           // 1em = 16px
+  containerWidth: 1024, // container = 1024px
+  baseUnit: 8,          // base unit = 8px
+  viewportWidth: 1440,  // 100vw = 1440px
+  viewportHeight: 900,  // 100vh = 900px
+  dpi: 96,              // 1in = 96px (pt, pc, cm, mm, Q)
+};
+
+export const DEFAULT_SETTINGS = {
+  version: SETTINGS_VERSION,
+  selectedConversion: 'PX_REM',
+  historyEnabled: true,
+  format: DEFAULT_FORMAT,
+  // Imported token set used to name the results ('' for none, see `@utils/tokens`)
+  activeTokenSetId: '',
+  activeProfileId: 'default',
+  profiles: [
+    { id: 'default', name: 'Default', baseValues: DEFAULT_BASE_VALUES },
+  ],
+};
+
+/**
+ * Migration steps, indexed by the version they upgrade from.
+ * Each step receives the stored object and returns the next version shape.
+ */
+const migrations = {
+  // v0: unversioned flat object { baseRem, baseEm, containerWidth, baseUnit, selectedConversion }
+  0: ({ selectedConversion, ...values }) => {
+    const baseValues = Object.keys(values).filter(key => key in DEFAULT_BASE_VALUES);
+
+    return {
+      version: 1,
+      selectedConversion,
+      baseValues: baseValues.length > 0
+        ? Object.fromEntries(baseValues.map(key => [key, values[key]]))
+        : undefined,
+    };
+  },
+  // v1: a single set of base values, which becomes the default profile.
+  // Partial settings (an imported file) may have none: no profile is made up
+  1: ({ baseValues, ...settings }) => ({
+    ...settings,
+    version: 2,
+    ...(baseValues !== undefined && {
+      activeProfileId: 'default',
+      profiles: [
+        { id: 'default', name: 'Default', baseValues },
+      ],
+    }),
+  }),
+};
+
+/**
+ * Returns a non negative number, or the fallback when the value is not usable.
+ *
+ * @function toNumber
+ * @param {*} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function toNumber(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+/**
+ * Fills missing or invalid base values with the defaults.
+ * Base values added by a release are filled here, without a migration step.
+ *
+ * @function normalizeBaseValues
+ * @param {object} baseValues
+ * @returns {object} One number for each key of `DEFAULT_BASE_VALUES`.
+ */
+export function normalizeBaseValues(baseValues = {}) {
+  return Object.keys(DEFAULT_BASE_VALUES).reduce((values, key) => {
+    values[key] = toNumber(baseValues?.[key], DEFAULT_BASE_VALUES[key]);
+    return values;
+  }, {});
+}
+
+/**
+ * Drops malformed profiles and fills missing or invalid values.
+ *
+ * @function normalizeProfiles
+ * @param {Array} profiles
+ * @returns {Array}
+ */
+function normalizeProfiles(profiles) {
+  const valid = Array.isArray(profiles)
+    ? profiles.filter(profile => profile && typeof profile.id === 'string')
+    : [];
+
+  if (valid.length === 0) return DEFAULT_SETTINGS.profiles;
+
+  return valid.map(profile => ({
+    id: profile.id,
+    name: typeof profile.name === 'string' ? profile.name : '',
+    baseValues: normalizeBaseValues(profile.baseValues),
+  }));
+}
+
+/**
+ * Applies the migration steps to a stored settings object, without filling
+ * the gaps (see `migrateSettings`).
+ *
+ * @function upgradeSettings
+ * @param {object} stored - A settings object of any version.
+ * @returns {object} The same settings in the current shape.
+ */
+export function upgradeSettings(stored) {
+  let settings = stored;
+  let version = Number.isInteger(settings.version) ? settings.version : 0;
+
+  // Apply every step up to the current version (newer shapes are left untouched)
+  while (version < SETTINGS_VERSION && migrations[version]) {
+    settings = migrations[version](settings);
+    version = settings.version;
+  }
+
+  return settings;
+}
+
+/**
+ * Checks whether settings were saved by a newer release (e.g. synced from
+ * another device). They can be used, but not saved (see `saveSettings`).
+ *
+ * @function isNewerSettings
+ * @param {object|undefined} settings
+ * @returns {boolean}
+ */
+export function isNewerSettings(settings) {
+  return settings?.version > SETTINGS_VERSION;
+}
+
+/**
+ * Upgrades a stored settings object to the current version and
+ * fills the gaps with the defaults. Settings saved by a newer release
+ * keep their version, so that they are never saved over.
+ *
+ * @function migrateSettings
+ * @param {object|undefined} stored - The raw value read from the storage.
+ * @returns {object} Settings in the current shape.
+ */
+export function migrateSettings(stored) {
+  if (!stored || typeof stored !== 'object') return DEFAULT_SETTINGS;
+
+  // A newer shape can't be upgraded: only the known keys are read
+  const settings = isNewerSettings(stored) ? stored : upgradeSettings(stored);
+  const profiles = normalizeProfiles(settings.profiles);
+
+  return {
+    ...DEFAULT_SETTINGS,
+    ...settings,
+    version: isNewerSettings(stored) ? stored.version : SETTINGS_VERSION,
+    selectedConversion: isValidConversion(settings.selectedConversion)
+      ? settings.selectedConversion
+      : DEFAULT_SETTINGS.selectedConversion,
+    historyEnabled: settings.historyEnabled !== false,
+    format: normalizeFormat(settings.format),
+    activeTokenSetId: typeof settings.activeTokenSetId === 'string' ? settings.activeTokenSetId : '',
+    profiles,
+    activeProfileId: profiles.some(profile => profile.id === settings.activeProfileId)
+      ? settings.activeProfileId
+      : profiles[0].id,
+  };
+}
+
+/**
+ * Loads the stored settings, upgraded to the current version.
+ *
+ * @async
+ * @function loadSettings
+ * @returns {Promise<object>}
+ */
+export async function loadSettings() {
+  try {
+    return migrateSettings(await readItem(SETTINGS_KEY));
+  } catch (error) {
+    console.warn('Converto: unable to load settings', error);
+    return DEFAULT_SETTINGS;
+  }
+}
+
+/**
+ * Persists the given settings, unless the stored ones were saved by a newer
+ * release: writing them in the current shape would drop what it added.
+ *
+ * @async
+ * @function saveSettings
+ * @param {object} settings
+ * @returns {Promise<void>}
+ */
+export async function saveSettings(settings) {
+  if (isNewerSettings(settings) || isNewerSettings(await readItem(SETTINGS_KEY))) return;
+
+  await writeItem(SETTINGS_KEY, { ...settings, version: SETTINGS_VERSION });
+}
+
+/**
+ * Listens for settings saved by other extension pages (e.g. a second popup).
+ *
+ * @function subscribeSettings
+ * @param {function(object): void} callback - Called with the migrated settings.
+ * @returns {function(): void} A function that removes the listener.
+ */
+export function subscribeSettings(callback) {
+  return watchItem(SETTINGS_KEY, value => callback(migrateSettings(value)));
+}
@@ -0,0 +1,354 @@
+/**
+ * @fileOverview
+ * Export and import of the settings as a JSON file, to share one configuration
+ * across a team: profiles and their base values, the output format, the last
+ * used conversion and the history opt-in.
+ *
+ * The file is versioned twice: `version` is the version of the file envelope,
+ * `settingsVersion` the `SETTINGS_VERSION` of the exported settings, so that a
+ * file exported by an older release goes through the settings migrations.
+ *
+ * Imports are validated field by field and rejected with a `SettingsFileError`
+ * naming the first invalid field, nothing is silently dropped. A file can hold
+ * only some of the settings (e.g. the output format shared by a team): it can
+ * be merged, but only a complete file can replace the current settings.
+ */
+
+import {
+  SETTINGS_VERSION,
+  DEFAULT_BASE_VALUES,
+  DEFAULT_SETTINGS,
+  upgradeSettings,
+  migrateSettings
+} from './settings';
+import { UNITS, isValidConversion, getConversionUnits } from './converters';
+import { ROUNDING_MODES, COPY_FORMATS, MAX_DECIMALS } from './format';
+import { getMessage } from './i18n';
+
+export const SETTINGS_FILE_FORMAT = 'converto-settings';
+export const SETTINGS_FILE_VERSION = 1;
+
+// Settings shared through the file (the token set selection is local to a browser)
+const SHARED_KEYS = ['selectedConversion', 'historyEnabled', 'format', 'activeProfileId', 'profiles'];
+
+/**
+ * Error raised for files that can't be imported.
+ */
+export class SettingsFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SettingsFileError';
+  }
+}
+
+/**
+ * Builds the content of a settings file.
+ *
+ * @function exportSettings
+ * @param {object} settings
+ * @returns {string} The JSON text of the file.
+ */
+export function exportSettings(settings) {
+  const shared = SHARED_KEYS.reduce((values, key) => {
+    values[key] = settings[key];
+    return values;
+  }, {});
+
+  return JSON.stringify({
+    format: SETTINGS_FILE_FORMAT,
+    version: SETTINGS_FILE_VERSION,
+    settingsVersion: SETTINGS_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: shared,
+  }, null, 2);
+}
+
+/**
+ * Returns the name of an exported file, e.g. "converto-settings-2025-01-31.json".
+ *
+ * @function getSettingsFileName
+ * @param {Date} date
+ * @returns {string}
+ */
+export function getSettingsFileName(date = new Date()) {
+  return `${SETTINGS_FILE_FORMAT}-${date.toISOString().slice(0, 10)}.json`;
+}
+
+/**
+ * Throws the error of an invalid field.
+ *
+ * @function invalidField
+ * @param {string} field - The path of the field, e.g. "profiles[1].name".
+ * @throws {SettingsFileError}
+ */
+function invalidField(field) {
+  throw new SettingsFileError(getMessage('errorSettingsField', [field]));
+}
+
+/**
+ * Checks whether a value is a plain object.
+ *
+ * @function isObject
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validates the output format options of a file.
+ *
+ * @function validateFormat
+ * @param {*} format
+ * @throws {SettingsFileError}
+ */
+function validateFormat(format) {
+  if (!isObject(format)) invalidField('format');
+
+  const { decimals, rounding, trimZeros, includeUnit, copyFormat } = format;
+
+  if (decimals !== undefined && !(Number.isInteger(decimals) && decimals >= 0 && decimals <= MAX_DECIMALS)) {
+    invalidField('format.decimals');
+  }
+  if (rounding !== undefined && !ROUNDING_MODES.some(mode => mode.value === rounding)) {
+    invalidField('format.rounding');
+  }
+  if (trimZeros !== undefined && typeof trimZeros !== 'boolean') invalidField('format.trimZeros');
+  if (includeUnit !== undefined && typeof includeUnit !== 'boolean') invalidField('format.includeUnit');
+  if (copyFormat !== undefined && !COPY_FORMATS.some(option => option.value === copyFormat)) {
+    invalidField('format.copyFormat');
+  }
+}
+
+/**
+ * Validates the profiles of a file.
+ *
+ * @function validateProfiles
+ * @param {*} profiles
+ * @throws {SettingsFileError}
+ */
+function validateProfiles(profiles) {
+  if (!Array.isArray(profiles)) invalidField('profiles');
+  if (profiles.length === 0) throw new SettingsFileError(getMessage('errorSettingsNoProfile'));
+
+  const ids = new Set();
+
+  profiles.forEach((profile, index) => {
+    const field = `profiles[${index}]`;
+
+    if (!isObject(profile)) invalidField(field);
+    if (typeof profile.id !== 'string' || !profile.id || ids.has(profile.id)) invalidField(`${field}.id`);
+    if (typeof profile.name !== 'string') invalidField(`${field}.name`);
+    if (!isObject(profile.baseValues)) invalidField(`${field}.baseValues`);
+
+    Object.keys(DEFAULT_BASE_VALUES).forEach(key => {
+      const value = profile.baseValues[key];
+      // Base values added by a later release can be missing
+      if (value !== undefined && !(Number.isFinite(value) && value >= 0)) {
+        invalidField(`${field}.baseValues.${key}`);
+      }
+    });
+
+    ids.add(profile.id);
+  });
+}
+
+/**
+ * Reads and validates a settings file. Only the settings present in the file
+ * are validated, see `isCompleteSettings` for a replace.
+ *
+ * @function parseSettingsFile
+ * @param {string} text - The content of the file.
+ * @returns {object} The settings of the file, in the current shape. Missing
+ * settings stay missing, so that a merge keeps the current ones.
+ * @throws {SettingsFileError} When the file can't be imported.
+ */
+export function parseSettingsFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new SettingsFileError(getMessage('errorFileJson'));
+  }
+
+  if (!isObject(file) || file.format !== SETTINGS_FILE_FORMAT || !isObject(file.settings)) {
+    throw new SettingsFileError(getMessage('errorSettingsFormat'));
+  }
+  if (!Number.isInteger(file.version) || file.version > SETTINGS_FILE_VERSION
+    || !Number.isInteger(file.settingsVersion) || file.settingsVersion > SETTINGS_VERSION) {
+    throw new SettingsFileError(getMessage('errorSettingsVersion'));
+  }
+
+  const settings = upgradeSettings({ ...file.settings, version: file.settingsVersion });
+
+  if (settings.selectedConversion !== undefined && !isValidConversion(settings.selectedConversion)) {
+    invalidField('selectedConversion');
+  }
+  if (settings.historyEnabled !== undefined && typeof settings.historyEnabled !== 'boolean') {
+    invalidField('historyEnabled');
+  }
+  if (settings.format !== undefined) validateFormat(settings.format);
+
+  if (settings.profiles !== undefined) validateProfiles(settings.profiles);
+
+  // Without profiles in the file, the id is matched with the current profiles by `mergeSettings`
+  if (settings.activeProfileId !== undefined && (typeof settings.activeProfileId !== 'string'
+    || (settings.profiles && !settings.profiles.some(profile => profile.id === settings.activeProfileId)))) {
+    invalidField('activeProfileId');
+  }
+
+  return SHARED_KEYS.reduce((values, key) => {
+    if (settings[key] !== undefined) values[key] = settings[key];
+    return values;
+  }, {});
+}
+
+/**
+ * Checks whether an imported file holds every shared setting, so that it can
+ * replace the current settings.
+ *
+ * @function isCompleteSettings
+ * @param {object} imported - See `parseSettingsFile`.
+ * @returns {boolean}
+ */
+export function isCompleteSettings(imported) {
+  return SHARED_KEYS.every(key => imported[key] !== undefined);
+}
+
+/**
+ * Replaces the settings with the imported ones.
+ *
+ * @function replaceSettings
+ * @param {object} settings - The current settings.
+ * @param {object} imported - See `parseSettingsFile`, a complete file.
+ * @returns {object} The new settings.
+ * @throws {SettingsFileError} When the file is not complete (see `isCompleteSettings`).
+ */
+export function replaceSettings(settings, imported) {
+  if (!isCompleteSettings(imported)) throw new SettingsFileError(getMessage('errorSettingsPartial'));
+
+  return migrateSettings({
+    ...DEFAULT_SETTINGS,
+    ...imported,
+    activeTokenSetId: settings.activeTokenSetId,
+  });
+}
+
+/**
+ * Merges the imported settings into the current ones: the imported profiles
+ * replace the profiles with the same id and the others are added, the current
+ * profiles missing from the file are kept, and so is the active profile when
+ * the file selects one missing from both.
+ *
+ * @function mergeSettings
+ * @param {object} settings - The current settings.
+ * @param {object} imported - See `parseSettingsFile`.
+ * @returns {object} The new settings.
+ */
+export function mergeSettings(settings, imported) {
+  // Imported profiles take the place of the ones they update
+  const importedProfiles = imported.profiles || [];
+  const profiles = [
+    ...settings.profiles.map(profile => importedProfiles.find(item => item.id === profile.id) || profile),
+    ...importedProfiles.filter(profile => !settings.profiles.some(item => item.id === profile.id)),
+  ];
+
+  return migrateSettings({
+    ...settings,
+    ...imported,
+    format: { ...settings.format, ...imported.format },
+    profiles,
+    activeProfileId: profiles.some(profile => profile.id === imported.activeProfileId)
+      ? imported.activeProfileId
+      : settings.activeProfileId,
+  });
+}
+
+/**
+ * Writes a setting value for the preview.
+ *
+ * @function describeValue
+ * @param {string} key
+ * @param {*} value
+ * @param {object} settings - The settings holding the value.
+ * @returns {string}
+ */
+function describeValue(key, value, settings) {
+  switch (key) {
+    case 'selectedConversion':
+      return getConversionUnits(value).map(unit => UNITS[unit].label).join(' → ');
+    case 'activeProfileId': {
+      const profile = settings.profiles.find(item => item.id === value);
+      return profile?.name || getMessage('untitled');
+    }
+    case 'rounding':
+      return ROUNDING_MODES.find(mode => mode.value === value)?.label || value;
+    case 'copyFormat':
+      return COPY_FORMATS.find(option => option.value === value)?.label || value;
+    default:
+      if (typeof value === 'boolean') return getMessage(value ? 'settingsYes' : 'settingsNo');
+      return String(value);
+  }
+}
+
+/**
+ * Lists the changes an import would make, for the preview.
+ *
+ * @function describeChanges
+ * @param {object} settings - The current settings.
+ * @param {object} next - The settings after the import.
+ * @returns {string[]} One sentence per change.
+ */
+export function describeChanges(settings, next) {
+  const changes = [];
+  const sameValues = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  next.profiles.forEach(profile => {
+    const current = settings.profiles.find(item => item.id === profile.id);
+    const name = profile.name || getMessage('untitled');
+
+    if (!current) {
+      changes.push(getMessage('settingsProfileAdded', [name]));
+    } else if (current.name !== profile.name || !sameValues(current.baseValues, profile.baseValues)) {
+      changes.push(getMessage('settingsProfileUpdated', [name]));
+    }
+  });
+
+  settings.profiles
+    .filter(profile => !next.profiles.some(item => item.id === profile.id))
+    .forEach(profile => changes.push(getMessage('settingsProfileRemoved', [profile.name || getMessage('untitled')])));
+
+  const settingLabels = [
+    ['activeProfileId', getMessage('settingsActiveProfile')],
+    ['selectedConversion', getMessage('settingsConversion')],
+    ['historyEnabled', getMessage('historyEnabled')],
+  ];
+  const formatLabels = [
+    ['decimals', getMessage('formatDecimals')],
+    ['rounding', getMessage('formatRounding')],
+    ['trimZeros', getMessage('formatTrimZeros')],
+    ['includeUnit', getMessage('formatShowUnit')],
+    ['copyFormat', getMessage('copyAs')],
+  ];
+
+  settingLabels.forEach(([key, label]) => {
+    if (settings[key] === next[key]) return;
+    changes.push(getMessage('settingsValueChanged', [
+      label,
+      describeValue(key, settings[key], settings),
+      describeValue(key, next[key], next),
+    ]));
+  });
+
+  formatLabels.forEach(([key, label]) => {
+    if (settings.format[key] === next.format[key]) return;
+    changes.push(getMessage('settingsValueChanged', [
+      label,
+      describeValue(key, settings.format[key], settings),
+      describeValue(key, next.format[key], next),
+    ]));
+  });
+
+  return changes;
+}
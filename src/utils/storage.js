@@ -0,0 +1,179 @@
+/**
+ * @fileOverview
+ * Promise based key/value storage used by the extension.
+ *
+ * The preferred backend is `chrome.storage.sync`, so that values follow the user
+ * across devices. When sync storage is not available (or a write is rejected, e.g.
+ * because of the sync quotas) the module falls back to `chrome.storage.local`.
+ * Outside of an extension context (vite dev server, tests) an in-memory area with
+ * the same interface is used instead.
+ */
+
+/**
+ * Creates an in-memory storage area that mimics the `chrome.storage.StorageArea` API.
+ *
+ * @function createMemoryArea
+ * @param {string} areaName - The name reported to the change listeners.
+ * @returns {object} A storage area exposing get, set, remove and onChanged.
+ */
+export function createMemoryArea(areaName = 'memory') {
+  const data = new Map();
+  const listeners = new Set();
+
+  function notify(changes) {
+    if (Object.keys(changes).length === 0) return;
+    listeners.forEach(listener => listener(changes, areaName));
+  }
+
+  return {
+    async get(keys = null) {
+      const requested = keys === null
+        ? [...data.keys()]
+        : [].concat(keys);
+
+      return requested.reduce((items, key) => {
+        if (data.has(key)) {
+          items[key] = structuredClone(data.get(key));
+        }
+        return items;
+      }, {});
+    },
+    async set(items) {
+      const changes = {};
+      Object.entries(items).forEach(([key, value]) => {
+        changes[key] = { oldValue: data.get(key), newValue: structuredClone(value) };
+        data.set(key, structuredClone(value));
+      });
+      notify(changes);
+    },
+    async remove(keys) {
+      const changes = {};
+      [].concat(keys).forEach(key => {
+        if (data.has(key)) {
+          changes[key] = { oldValue: data.get(key) };
+          data.delete(key);
+        }
+      });
+      notify(changes);
+    },
+    onChanged: {
+      addListener: listener => listeners.add(listener),
+      removeListener: listener => listeners.delete(listener),
+    },
+  };
+}
+
+/**
+ * Checks whether the `chrome.storage` API is reachable from the current context.
+ *
+ * @function hasExtensionStorage
+ * @returns {boolean}
+ */
+export function hasExtensionStorage() {
+  return typeof chrome !== 'undefined' && !!chrome.storage;
+}
+
+// Shared stand-in used when running outside of the extension
+let memoryArea = null;
+
+/**
+ * Returns the storage area to use for the given kind, falling back to
+ * `local` and then to memory when the requested one is not available.
+ *
+ * @function getStorageArea
+ * @param {'sync'|'local'} kind - The preferred storage area.
+ * @returns {object} A `chrome.storage.StorageArea` compatible object.
+ */
+export function getStorageArea(kind = 'sync') {
+  if (hasExtensionStorage()) {
+    if (chrome.storage[kind]) return chrome.storage[kind];
+    if (chrome.storage.local) return chrome.storage.local;
+  }
+
+  if (!memoryArea) memoryArea = createMemoryArea();
+  return memoryArea;
+}
+
+/**
+ * Reads a single key, looking first in the preferred area and then in `local`.
+ *
+ * @async
+ * @function readItem
+ * @param {string} key - The storage key.
+ * @param {'sync'|'local'} kind - The preferred storage area.
+ * @returns {Promise<*>} The stored value, or undefined when missing.
+ */
+export async function readItem(key, kind = 'sync') {
+  const primary = getStorageArea(kind);
+  const fallback = getStorageArea('local');
+
+  try {
+    const items = await primary.get(key);
+    if (items[key] !== undefined || primary === fallback) return items[key];
+  } catch (error) {
+    console.warn(`Converto: unable to read "${key}" from ${kind} storage`, error);
+  }
+
+  const items = await fallback.get(key);
+  return items[key];
+}
+
+/**
+ * Writes a single key in the preferred area. If the write is rejected
+ * (e.g. sync quota exceeded) the value is stored in `local` instead, and the
+ * previous copy is removed from the preferred area.
+ *
+ * @async
+ * @function writeItem
+ * @param {string} key - The storage key.
+ * @param {*} value - Any JSON serializable value.
+ * @param {'sync'|'local'} kind - The preferred storage area.
+ * @returns {Promise<void>}
+ */
+export async function writeItem(key, value, kind = 'sync') {
+  const primary = getStorageArea(kind);
+  const fallback = getStorageArea('local');
+
+  try {
+    await primary.set({ [key]: value });
+    // Drop any stale copy left in local by a previous fallback
+    if (primary !== fallback) await fallback.remove(key);
+  } catch (error) {
+    if (primary === fallback) throw error;
+    console.warn(`Converto: unable to write "${key}" to ${kind} storage, using local`, error);
+    await fallback.set({ [key]: value });
+
+    // readItem prefers the primary area: its older copy would hide the new value
+    try {
+      await primary.remove(key);
+    } catch (removeError) {
+      console.warn(`Converto: unable to remove the stale "${key}" from ${kind} storage`, removeError);
+    }
+  }
+}
+
+/**
+ * Subscribes to changes of a single key in both the preferred and the fallback area.
+ *
+ * @function watchItem
+ * @param {string} key - The storage key.
+ * @param {function(*): void} callback - Called with the new value (undefined when removed).
+ * @param {'sync'|'local'} kind - The preferred storage area.
+ * @returns {function(): void} A function that removes the listener.
+ */
+export function watchItem(key, callback, kind = 'sync') {
+  const areas = [...new Set([getStorageArea(kind), getStorageArea('local')])];
+
+  function listener(changes) {
+    if (!(key in changes)) return;
+    // Ignore the cleanup removals of writeItem, the new value is set in the other area
+    if (!('newValue' in changes[key]) && areas.length > 1) return;
+    callback(changes[key].newValue);
+  }
+
+  areas.forEach(area => area.onChanged.addListener(listener));
+
+  return () => {
+    areas.forEach(area => area.onChanged.removeListener(listener));
+  };
+}
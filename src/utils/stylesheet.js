@@ -0,0 +1,244 @@
+/**
+ * @fileOverview
+ * Batch conversion of the lengths of a CSS, SCSS or Less block.
+ *
+ * The source is split in segments ending with `;`, `{` or `}`. Segments ending
+ * with `{` are selectors or at-rule preludes and are left untouched (so media
+ * queries keep their unit), the others are declarations (`property: value`,
+ * including `$scss` and `@less` variables) whose lengths are converted with
+ * `directConversion`. Comments, strings and `#{}` interpolations are skipped.
+ */
+
+import {
+  UNITS,
+  directConversion,
+  getConversionUnits,
+  isValidConversion
+} from './converters';
+import { DEFAULT_FORMAT, formatValue } from './format';
+
+export const DEFAULT_EXCLUDE_RULES = 'border*, outline*';
+
+/**
+ * Checks whether a unit can be written in a stylesheet.
+ *
+ * @function isCssUnit
+ * @param {string} unitKey
+ * @returns {boolean}
+ */
+export function isCssUnit(unitKey) {
+  return !!UNITS[unitKey]?.suffix;
+}
+
+/**
+ * Checks whether a conversion can be applied to a stylesheet:
+ * both ends must be different CSS units.
+ *
+ * @function isBatchConversion
+ * @param {string} conversion
+ * @returns {boolean}
+ */
+export function isBatchConversion(conversion) {
+  if (!isValidConversion(conversion)) return false;
+
+  const [from, to] = getConversionUnits(conversion);
+  return from !== to && isCssUnit(from) && isCssUnit(to);
+}
+
+/**
+ * Parses a comma separated list of property patterns (`*` is a wildcard).
+ *
+ * @function parseRules
+ * @param {string} rules - e.g. "border*, outline, $grid-*"
+ * @returns {Array<RegExp>}
+ */
+export function parseRules(rules = '') {
+  return rules
+    .split(',')
+    .map(rule => rule.trim().toLowerCase())
+    .filter(Boolean)
+    .map(rule => {
+      const pattern = rule
+        .split('*')
+        .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+      return new RegExp(`^${pattern}$`);
+    });
+}
+
+/**
+ * Checks whether the lengths of a property must be converted.
+ *
+ * @function isPropertyIncluded
+ * @param {string} property
+ * @param {Array<RegExp>} include - When not empty, only these properties are converted.
+ * @param {Array<RegExp>} exclude - These properties are never converted.
+ * @returns {boolean}
+ */
+function isPropertyIncluded(property, include, exclude) {
+  const name = property.toLowerCase();
+  if (include.length > 0 && !include.some(rule => rule.test(name))) return false;
+  return !exclude.some(rule => rule.test(name));
+}
+
+/**
+ * Splits the source in segments, each one ending with `;`, `{`, `}` or the end of the text.
+ *
+ * @function splitSegments
+ * @param {string} source
+ * @returns {Array<{start: number, end: number, terminator: string}>}
+ */
+function splitSegments(source) {
+  const segments = [];
+  let start = 0;
+  let depth = 0; // parentheses, e.g. url(data:...;base64)
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    const next = source[i + 1];
+
+    if (char === '/' && next === '*') {
+      const close = source.indexOf('*/', i + 2);
+      i = close === -1 ? source.length : close + 2;
+    } else if (char === '/' && next === '/' && source[i - 1] !== ':') {
+      // Line comment (SCSS, Less), but not the `//` of a url
+      const close = source.indexOf('\n', i);
+      i = close === -1 ? source.length : close;
+    } else if (char === '"' || char === '\'') {
+      i++;
+      while (i < source.length && source[i] !== char) {
+        i += source[i] === '\\' ? 2 : 1;
+      }
+      i++;
+    } else if (char === '#' && next === '{') {
+      const close = source.indexOf('}', i);
+      i = close === -1 ? source.length : close + 1;
+    } else if (char === '(') {
+      depth++;
+      i++;
+    } else if (char === ')') {
+      depth = Math.max(depth - 1, 0);
+      i++;
+    } else if (depth === 0 && (char === ';' || char === '{' || char === '}')) {
+      segments.push({ start, end: i, terminator: char });
+      start = i + 1;
+      i++;
+    } else {
+      i++;
+    }
+  }
+
+  if (start < source.length) {
+    segments.push({ start, end: source.length, terminator: '' });
+  }
+
+  return segments;
+}
+
+/**
+ * Converts the lengths of a single declaration value.
+ * Only the numbers followed by the source unit are changed, so `calc()`
+ * expressions and shorthands keep their structure.
+ *
+ * @function convertValue
+ * @param {string} value
+ * @param {string} conversion
+ * @param {object} bases
+ * @param {object} format - See `DEFAULT_FORMAT`, the unit is always written.
+ * @returns {{value: string, count: number}}
+ */
+export function convertValue(value, conversion, bases, format = DEFAULT_FORMAT) {
+  const [fromKey, toKey] = getConversionUnits(conversion);
+  const from = UNITS[fromKey].suffix;
+  const unitFormat = { ...format, includeUnit: true };
+  const unit = from === '%' ? '%' : `${from}\\b`;
+  const pattern = new RegExp(`(^|[^\\w.#$@-])(-?(?:\\d+\\.?\\d*|\\.\\d+))${unit}`, 'gi');
+  let count = 0;
+
+  // Strings and url() are kept as they are
+  const parts = value.split(/("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|url\([^)]*\))/i);
+
+  const converted = parts.map((part, index) => {
+    if (index % 2 === 1) return part;
+
+    return part.replace(pattern, (match, prefix, number) => {
+      count++;
+      const result = directConversion(conversion, parseFloat(number), bases);
+      return `${prefix}${formatValue(result, toKey, unitFormat, bases)}`;
+    });
+  }).join('');
+
+  return { value: converted, count };
+}
+
+/**
+ * Converts every length of a stylesheet.
+ *
+ * @function convertStylesheet
+ * @param {string} source - The CSS, SCSS or Less code.
+ * @param {object} options
+ * @param {string} options.conversion - One of the batch conversions (e.g. 'PX_REM').
+ * @param {object} options.bases - The base values used by `directConversion`.
+ * @param {object} options.format - The rounding options, see `DEFAULT_FORMAT`.
+ * @param {string} options.include - Comma separated property patterns to convert (all when empty).
+ * @param {string} options.exclude - Comma separated property patterns to keep as they are.
+ * @returns {{output: string, count: number}}
+ */
+export function convertStylesheet(source, {
+  conversion,
+  bases,
+  format = DEFAULT_FORMAT,
+  include = '',
+  exclude = DEFAULT_EXCLUDE_RULES
+}) {
+  if (!isBatchConversion(conversion)) return { output: source, count: 0 };
+
+  const includeRules = parseRules(include);
+  const excludeRules = parseRules(exclude);
+  let output = '';
+  let count = 0;
+  let last = 0;
+
+  splitSegments(source).forEach(({ start, end, terminator }) => {
+    if (terminator === '{') return;
+
+    const segment = source.slice(start, end);
+    const match = segment.match(/^(\s*(?:\/\*[\s\S]*?\*\/\s*|\/\/[^\n]*\n\s*)*)([$@]?[-\w]+)(\s*:)([\s\S]*)$/);
+    if (!match) return;
+
+    const [, leading, property, colon, value] = match;
+    if (!isPropertyIncluded(property, includeRules, excludeRules)) return;
+
+    const result = convertValue(value, conversion, bases, format);
+    if (result.count === 0) return;
+
+    output += source.slice(last, start) + leading + property + colon + result.value;
+    last = end;
+    count += result.count;
+  });
+
+  output += source.slice(last);
+
+  return { output, count };
+}
+
+/**
+ * Pairs the lines of the source and of the output for a side-by-side preview.
+ * Lengths are replaced in place, so both texts always have the same lines.
+ *
+ * @function diffLines
+ * @param {string} source
+ * @param {string} output
+ * @returns {Array<{original: string, converted: string, changed: boolean}>}
+ */
+export function diffLines(source, output) {
+  const originalLines = source.split('\n');
+  const convertedLines = output.split('\n');
+
+  return originalLines.map((original, index) => ({
+    original,
+    converted: convertedLines[index] ?? '',
+    changed: original !== convertedLines[index],
+  }));
+}
@@ -0,0 +1,317 @@
+/**
+ * @fileOverview
+ * Design tokens import, in the W3C DTCG format (`$value`, `$type`) and in the
+ * Style Dictionary format (`value`), with `{group.token}` aliases.
+ *
+ * Only the length tokens (px, rem, em) are kept, resolved to px. Tokens such as
+ * `font.size.root` or `spacing.base` provide base values, and every token can be
+ * looked up from a conversion result ("1.5rem ≈ spacing.6").
+ *
+ * Imported sets are kept in local storage (a file can exceed the sync quotas).
+ */
+
+import { readItem, writeItem, watchItem } from './storage';
+import { DEFAULT_BASE_VALUES } from './settings';
+import { evaluateExpression, ExpressionError } from './expression';
+import { getMessage } from './i18n';
+
+export const TOKEN_SETS_KEY = 'tokenSets';
+
+// Tokens providing a base value, by normalized path (see `normalizePath`)
+const BASE_VALUE_TOKENS = {
+  baseRem: ['font.size.root', 'font.size.base', 'root.font.size', 'size.font.root', 'size.font.base', 'size.root'],
+  baseUnit: ['spacing.base', 'space.base', 'spacing.unit', 'size.base', 'grid.base'],
+  containerWidth: ['container.width', 'container.max.width', 'size.container', 'layout.container'],
+};
+
+// Types of the tokens whose bare numbers are px (other numbers are weights, ratios...)
+const LENGTH_TYPES = ['dimension', 'spacing', 'sizing', 'size', 'fontsize', 'fontsizes', 'borderradius', 'borderwidth'];
+
+// Paths whose bare numbers are never px, even with a length type: ratios and weights
+// (normalized paths, see `normalizePath`)
+const UNITLESS_PATHS = ['line.height', 'lineheight', 'letter.spacing', 'letterspacing', 'font.weight', 'fontweight'];
+
+// Units a token can use: the others depend on the page (%, viewport units)
+const TOKEN_UNITS = ['px', 'rem', 'em'];
+
+// A result within 2% of a token is a near match
+const NEAR_MATCH_RATIO = 0.02;
+
+// Results closer than this are an exact match (the px values are rounded)
+const EXACT_MATCH_DELTA = 0.001;
+
+/**
+ * Error raised for files that are not usable token sets.
+ */
+export class TokensError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokensError';
+  }
+}
+
+/**
+ * Writes a token path in lowercase dot notation, so that `fontSize.root`,
+ * `font-size.root` and `font.size.root` are the same path.
+ *
+ * @function normalizePath
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizePath(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1.$2')
+    .split(/[.\-_\s]+/)
+    .filter(Boolean)
+    .join('.')
+    .toLowerCase();
+}
+
+/**
+ * Lists the tokens of a file, with the type inherited from their groups.
+ *
+ * @function flattenTokens
+ * @param {object} node - A group or a token.
+ * @param {string[]} path
+ * @param {string} type - The `$type` of the closest group.
+ * @param {Array} list
+ * @returns {Array<{name: string, value: *, type: string}>}
+ */
+function flattenTokens(node, path = [], type = '', list = []) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) return list;
+
+  const nodeType = [node.$type, node.type, type].find(value => typeof value === 'string') || '';
+
+  if ('$value' in node || ('value' in node && path.length > 0)) {
+    list.push({
+      name: path.join('.'),
+      value: '$value' in node ? node.$value : node.value,
+      type: nodeType.toLowerCase(),
+    });
+    return list;
+  }
+
+  Object.entries(node).forEach(([key, child]) => {
+    if (!key.startsWith('$')) flattenTokens(child, [...path, key], nodeType, list);
+  });
+
+  return list;
+}
+
+/**
+ * Checks whether the bare numbers of a token are px: only for the length
+ * types, untyped tokens need a unit.
+ *
+ * @function isLengthToken
+ * @param {{name: string, type: string}} token
+ * @returns {boolean}
+ */
+function isLengthToken({ name, type }) {
+  if (!LENGTH_TYPES.includes(type)) return false;
+
+  const path = `.${normalizePath(name)}.`;
+  return !UNITLESS_PATHS.some(words => path.includes(`.${words}.`));
+}
+
+/**
+ * Resolves every length token to px.
+ *
+ * @function resolveTokens
+ * @param {Array<{name: string, value: *, type: string}>} tokens
+ * @param {object} bases - The base values used by rem and em.
+ * @returns {Map<string, number>} The px value of each length token, by name.
+ */
+function resolveTokens(tokens, bases) {
+  const byName = new Map(tokens.map(token => [token.name, token]));
+  const resolved = new Map();
+  const resolving = new Set();
+
+  function resolve(token) {
+    if (resolved.has(token.name)) return resolved.get(token.name);
+    // Circular aliases are not lengths
+    if (resolving.has(token.name)) return null;
+
+    resolving.add(token.name);
+    const px = toPx(token);
+    resolving.delete(token.name);
+
+    resolved.set(token.name, px);
+    return px;
+  }
+
+  function toPx(token) {
+    const { value } = token;
+
+    // DTCG dimension object: { value: 16, unit: 'px' }
+    if (value && typeof value === 'object') {
+      return TOKEN_UNITS.includes(value.unit) ? evaluate(`${value.value}${value.unit}`) : null;
+    }
+
+    if (typeof value === 'number') {
+      return isLengthToken(token) ? value : null;
+    }
+
+    if (typeof value !== 'string') return null;
+
+    let missing = false;
+    const text = value.replace(/\{([^}]+)\}/g, (match, name) => {
+      const target = byName.get(name.trim());
+      const px = target ? resolve(target) : null;
+      if (px === null) missing = true;
+      return `${px}px`;
+    });
+
+    if (missing) return null;
+
+    // Only lengths: "1.5" is a line height, "#fff" a color
+    const units = [...text.matchAll(/\d\s*([a-z%]+)/gi)].map(match => match[1].toLowerCase());
+    if (units.length === 0 && !isLengthToken(token)) return null;
+    if (units.some(unit => !TOKEN_UNITS.includes(unit))) return null;
+
+    return evaluate(text);
+  }
+
+  function evaluate(text) {
+    try {
+      return evaluateExpression(text, 'PX', bases);
+    } catch (error) {
+      if (!(error instanceof ExpressionError)) throw error;
+      return null;
+    }
+  }
+
+  tokens.forEach(resolve);
+
+  return new Map([...resolved].filter(([, px]) => px !== null));
+}
+
+/**
+ * Finds the base values provided by the tokens.
+ *
+ * @function findBaseValues
+ * @param {Map<string, number>} values - The px value of each token, by name.
+ * @returns {object} Some keys of `DEFAULT_BASE_VALUES`.
+ */
+function findBaseValues(values) {
+  const byPath = new Map([...values].map(([name, px]) => [normalizePath(name), px]));
+
+  return Object.entries(BASE_VALUE_TOKENS).reduce((baseValues, [key, paths]) => {
+    const path = paths.find(candidate => byPath.get(candidate) > 0);
+    if (path) baseValues[key] = parseFloat(byPath.get(path).toFixed(3));
+    return baseValues;
+  }, {});
+}
+
+/**
+ * Reads a tokens file and builds a token set.
+ *
+ * @function parseTokenSet
+ * @param {string} name - The set name, e.g. the file name.
+ * @param {string} text - The content of the file.
+ * @returns {{id: string, name: string, tokens: Array<{name: string, px: number}>, baseValues: object}}
+ * @throws {TokensError} When the file is not JSON or holds no length token.
+ */
+export function parseTokenSet(name, text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new TokensError(getMessage('errorFileJson'));
+  }
+
+  const tokens = flattenTokens(json);
+
+  // The root font size can be written in rem: read it first with the default
+  // 1rem, then resolve every token with it
+  const defaults = resolveTokens(tokens, DEFAULT_BASE_VALUES);
+  const { baseRem = DEFAULT_BASE_VALUES.baseRem } = findBaseValues(defaults);
+  const values = resolveTokens(tokens, { ...DEFAULT_BASE_VALUES, baseRem, baseEm: baseRem });
+
+  if (values.size === 0) throw new TokensError(getMessage('errorTokensEmpty'));
+
+  return {
+    id: crypto.randomUUID(),
+    name,
+    tokens: [...values].map(([tokenName, px]) => ({ name: tokenName, px: parseFloat(px.toFixed(4)) })),
+    baseValues: findBaseValues(values),
+  };
+}
+
+/**
+ * Finds the token closest to a value, within 2%.
+ *
+ * @function findToken
+ * @param {Array<{name: string, px: number}>} tokens
+ * @param {number} px
+ * @returns {{name: string, px: number, exact: boolean}|null}
+ */
+export function findToken(tokens, px) {
+  if (!Number.isFinite(px)) return null;
+
+  let best = null;
+
+  tokens.forEach(token => {
+    const delta = Math.abs(token.px - px);
+    if (delta > Math.max(Math.abs(px) * NEAR_MATCH_RATIO, EXACT_MATCH_DELTA)) return;
+    if (!best || delta < best.delta) best = { ...token, delta };
+  });
+
+  if (!best) return null;
+
+  const { delta, ...token } = best;
+  return { ...token, exact: delta < EXACT_MATCH_DELTA };
+}
+
+/**
+ * Keeps only the well formed sets of a stored list.
+ *
+ * @function normalizeTokenSets
+ * @param {*} stored
+ * @returns {Array}
+ */
+export function normalizeTokenSets(stored) {
+  if (!Array.isArray(stored)) return [];
+
+  return stored
+    .filter(set => set && typeof set.id === 'string' && Array.isArray(set.tokens))
+    .map(set => ({
+      id: set.id,
+      name: typeof set.name === 'string' ? set.name : '',
+      tokens: set.tokens.filter(token => typeof token?.name === 'string' && Number.isFinite(token.px)),
+      baseValues: set.baseValues && typeof set.baseValues === 'object' ? set.baseValues : {},
+    }));
+}
+
+/**
+ * Loads the imported token sets.
+ *
+ * @async
+ * @function loadTokenSets
+ * @returns {Promise<Array>}
+ */
+export async function loadTokenSets() {
+  return normalizeTokenSets(await readItem(TOKEN_SETS_KEY, 'local'));
+}
+
+/**
+ * Persists the imported token sets.
+ *
+ * @async
+ * @function saveTokenSets
+ * @param {Array} sets
+ * @returns {Promise<void>}
+ */
+export function saveTokenSets(sets) {
+  return writeItem(TOKEN_SETS_KEY, sets, 'local');
+}
+
+/**
+ * Listens for token sets imported by other extension pages.
+ *
+ * @function subscribeTokenSets
+ * @param {function(Array): void} callback
+ * @returns {function(): void} A function that removes the listener.
+ */
+export function subscribeTokenSets(callback) {
+  return watchItem(TOKEN_SETS_KEY, value => callback(normalizeTokenSets(value)), 'local');
+}
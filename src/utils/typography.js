@@ -0,0 +1,121 @@
+/**
+ * @fileOverview
+ * Typography conversions relative to a font size: line-height between px, %,
+ * unitless and rem, and letter-spacing between the percentage of Figma, px,
+ * em and rem.
+ *
+ * Both go through the ratio to the font size: a unitless line-height, or a
+ * letter-spacing in em (Figma's 2% is 0.02em). Rem values use the `baseRem`
+ * of the active profile.
+ */
+
+import { getMessage } from './i18n';
+import { formatPlainNumber } from './format';
+
+// Units shared by line-height and letter-spacing
+const PX = {
+  label: 'px',
+  suffix: 'px',
+  toRatio: (value, { fontSize }) => value / fontSize,
+  fromRatio: (ratio, { fontSize }) => ratio * fontSize,
+};
+
+const REM = {
+  label: 'rem',
+  suffix: 'rem',
+  toRatio: (value, { fontSize, baseRem }) => value * baseRem / fontSize,
+  fromRatio: (ratio, { fontSize, baseRem }) => ratio * fontSize / baseRem,
+};
+
+const PERCENT = {
+  suffix: '%',
+  toRatio: value => value / 100,
+  fromRatio: ratio => ratio * 100,
+};
+
+const RATIO = {
+  toRatio: value => value,
+  fromRatio: ratio => ratio,
+};
+
+/**
+ * Line-height units.
+ *
+ * @type {Object<string, {label: string, suffix: string, toRatio: function, fromRatio: function}>}
+ */
+export const LINE_HEIGHT_UNITS = {
+  PX,
+  PCT: { ...PERCENT, label: '%' },
+  UNITLESS: { ...RATIO, label: getMessage('typographyUnitless'), suffix: '' },
+  REM,
+};
+
+/**
+ * Letter-spacing units. Figma gives it as a percentage of the font size.
+ *
+ * @type {Object<string, {label: string, suffix: string, toRatio: function, fromRatio: function}>}
+ */
+export const LETTER_SPACING_UNITS = {
+  FIGMA_PCT: { ...PERCENT, label: 'Figma %' },
+  PX,
+  EM: { ...RATIO, label: 'em', suffix: 'em' },
+  REM,
+};
+
+/**
+ * Converts a line-height or a letter-spacing between two of its units.
+ *
+ * @function convertTypography
+ * @param {number} value - The number to convert.
+ * @param {string} from - The source unit key (e.g. 'PX').
+ * @param {string} to - The target unit key (e.g. 'UNITLESS').
+ * @param {object} units - `LINE_HEIGHT_UNITS` or `LETTER_SPACING_UNITS`.
+ * @param {{fontSize: number, baseRem: number}} context - The font size and 1rem, in px.
+ * @returns {number} The converted result.
+ */
+export function convertTypography(value, from, to, units, context) {
+  if (!(from in units) || !(to in units)) return 0;
+  if (from === to) return value;
+
+  return units[to].fromRatio(units[from].toRatio(value, context), context);
+}
+
+/**
+ * Converts a value to every unit of its registry.
+ *
+ * @function getTypographyRows
+ * @param {number} value
+ * @param {string} from - The source unit key.
+ * @param {object} units - `LINE_HEIGHT_UNITS` or `LETTER_SPACING_UNITS`.
+ * @param {{fontSize: number, baseRem: number}} context - The font size and 1rem, in px.
+ * @returns {Array<{key: string, label: string, suffix: string, value: number, valid: boolean}>}
+ */
+export function getTypographyRows(value, from, units, context) {
+  return Object.entries(units).map(([key, unit]) => {
+    const converted = convertTypography(value, from, key, units, context);
+
+    return {
+      key,
+      label: unit.label,
+      suffix: unit.suffix,
+      value: converted,
+      // A base rem set to 0 makes rem meaningless
+      valid: Number.isFinite(converted),
+    };
+  });
+}
+
+/**
+ * Formats a typography value for the clipboard, e.g. "1.5", "150%" or "0.02em".
+ *
+ * @function formatTypographyCopy
+ * @param {number} value
+ * @param {string} suffix - The unit suffix, '' for a unitless line-height.
+ * @param {object} format - See `DEFAULT_FORMAT`: "number" copies the number alone,
+ * the other copy formats the number and its unit.
+ * @returns {string}
+ */
+export function formatTypographyCopy(value, suffix, format) {
+  const number = formatPlainNumber(value, format);
+  return format.copyFormat === 'number' ? number : `${number}${suffix}`;
+}
@@ -0,0 +1,28 @@
+/**
+ * Common device viewports (CSS px), used as presets for the
+ * viewport width and height base values.
+ */
+export const viewportPresets = [
+  { value: 'desktop-fhd', label: 'Desktop 1920×1080', width: 1920, height: 1080 },
+  { value: 'laptop', label: 'Laptop 1440×900', width: 1440, height: 900 },
+  { value: 'laptop-small', label: 'Laptop 1280×800', width: 1280, height: 800 },
+  { value: 'ipad-pro', label: 'iPad Pro 12.9" 1024×1366', width: 1024, height: 1366 },
+  { value: 'ipad', label: 'iPad 10.9" 820×1180', width: 820, height: 1180 },
+  { value: 'iphone-15-pro-max', label: 'iPhone 15 Pro Max 430×932', width: 430, height: 932 },
+  { value: 'iphone-15', label: 'iPhone 15 393×852', width: 393, height: 852 },
+  { value: 'iphone-se', label: 'iPhone SE 375×667', width: 375, height: 667 },
+  { value: 'pixel-8', label: 'Pixel 8 412×915', width: 412, height: 915 },
+  { value: 'galaxy-s23', label: 'Galaxy S23 360×780', width: 360, height: 780 },
+];
+
+/**
+ * Returns the preset matching the given viewport, if any.
+ *
+ * @function findViewportPreset
+ * @param {number} width
+ * @param {number} height
+ * @returns {object|undefined}
+ */
+export function findViewportPreset(width, height) {
+  return viewportPresets.find(preset => preset.width === width && preset.height === height);
+}
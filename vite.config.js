@@ -1,5 +1,6 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { viteStaticCopy } from 'vite-plugin-static-copy';
 import path from 'path';
 import paths from './config/paths';
 
@@ -11,6 +12,12 @@ export default defineConfig({
   },
   plugins: [
     react(),
+    // Chrome reads the translations from the root of the extension
+    viteStaticCopy({
+      targets: [
+        { src: 'src/_locales', dest: '.' }
+      ]
+    }),
   ],
   resolve: {
     alias: {
@@ -20,9 +27,18 @@ export default defineConfig({
     },
   },
   build: {
+    // Read by `src/manifest.js` to list the chunks of the content script
+    manifest: true,
     rollupOptions: {
       input: {
         popup: path.resolve(APP_DIR, 'popup', 'index.html'),
+        sidepanel: path.resolve(APP_DIR, 'sidepanel', 'index.html'),
+        content: path.resolve(APP_DIR, 'content', 'index.js'),
+        selection: path.resolve(APP_DIR, 'content', 'selection.js'),
+        background: path.resolve(APP_DIR, 'background', 'index.js'),
+        offscreen: path.resolve(APP_DIR, 'offscreen', 'index.html'),
+        devtools: path.resolve(APP_DIR, 'devtools', 'index.html'),
+        devtoolsPane: path.resolve(APP_DIR, 'devtools', 'pane.html'),
       },
       output: {
         entryFileNames: 'assets/[name].js',